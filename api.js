@@ -0,0 +1,434 @@
+/**
+ * api.js - Local HTTP API for driving virtual things from tests
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Event} = require('gateway-addon');
+const http = require('http');
+const {v4: uuidv4} = require('uuid');
+const {validate} = require('./schema');
+
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * An error which is reported to the client with an HTTP status code.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {String} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Small HTTP server, listening on localhost only, which lets test scripts
+ * control the virtual things:
+ *
+ * - GET /things
+ * - GET /things/<thing>
+ * - GET /things/<thing>/properties
+ * - GET /things/<thing>/properties/<property>
+ * - PUT /things/<thing>/properties/<property>, with {"<property>": value}
+ * - POST /things/<thing>/actions/<action>, with {"input": ...}
+ * - POST /things/<thing>/events/<event>, with {"data": ...}
+ * - PUT /things/<thing>/connected, with {"connected": true|false}
+ * - PUT /things/<thing>/randomize, with {"enabled": true|false} and
+ *   optionally {"properties": [...]}
+ * - GET /clock
+ * - PUT /clock, with {"speed": number} and/or {"paused": true|false}
+ * - POST /clock/step, with {"seconds": number}
+ *
+ * Things are referred to by ID or by name. Property writes bypass `readOnly`
+ * and fault injection, but not validation.
+ */
+class ControlApi {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {number} port - Port to listen on
+   */
+  constructor(adapter, port) {
+    this.adapter = adapter;
+    this.port = port;
+    this.server = null;
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on('error', (e) => {
+      console.error(`Control API failed on port ${this.port}:`, e.message);
+    });
+    this.server.listen(this.port, '127.0.0.1', () => {
+      console.log(`Control API listening on http://127.0.0.1:${this.port}`);
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handle(req, res) {
+    this.readBody(req).then((body) => {
+      return this.route(req.method, req.url, body);
+    }).then((result) => {
+      this.respond(res, result.status || 200, result.body);
+    }).catch((e) => {
+      if (e instanceof HttpError) {
+        this.respond(res, e.status, {error: e.message});
+      } else {
+        console.error('Control API request failed:', e);
+        this.respond(res, 500, {error: `${e.message || e}`});
+      }
+    });
+  }
+
+  /**
+   * @param {http.ServerResponse} res
+   * @param {number} status
+   * @param {any} body
+   */
+  respond(res, status, body) {
+    const data = typeof body === 'undefined' ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(data),
+    });
+    res.end(data);
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @return {Promise} a promise which resolves to the parsed JSON body, or
+   *                   undefined if there is none.
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (text.trim() === '') {
+          resolve();
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * @param {String} method
+   * @param {String} url
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  route(method, url, body) {
+    const parts = url.split('?')[0].split('/')
+      .filter((part) => part !== '')
+      .map(decodeURIComponent);
+
+    if (parts[0] === 'clock') {
+      return this.handleClock(method, parts[1], body);
+    }
+
+    if (parts[0] !== 'things') {
+      throw new HttpError(404, 'Not found');
+    }
+
+    if (parts.length === 1) {
+      this.expect(method, 'GET');
+      return Promise.resolve({
+        body: Object.values(this.adapter.devices).map((d) => this.describe(d)),
+      });
+    }
+
+    const device = this.adapter.findDevice(parts[1]);
+    if (!device) {
+      throw new HttpError(404, `Unknown thing: ${parts[1]}`);
+    }
+
+    const [, , collection, name] = parts;
+
+    if (parts.length === 2) {
+      this.expect(method, 'GET');
+      return Promise.resolve({body: this.describe(device)});
+    }
+
+    switch (collection) {
+      case 'properties':
+        if (typeof name === 'undefined') {
+          this.expect(method, 'GET');
+          return Promise.resolve({body: this.values(device)});
+        }
+
+        return this.handleProperty(method, device, name, body);
+      case 'actions':
+        this.expect(method, 'POST');
+        return this.handleAction(device, name, body);
+      case 'events':
+        this.expect(method, 'POST');
+        return this.handleEvent(device, name, body);
+      case 'connected':
+        this.expect(method, 'PUT');
+        if (!body || typeof body.connected !== 'boolean') {
+          throw new HttpError(400, 'Expected {"connected": true|false}');
+        }
+
+        device.setConnected(body.connected);
+        return Promise.resolve({body: {connected: device.connected}});
+      case 'randomize':
+        this.expect(method, 'PUT');
+        return this.handleRandomize(device, body);
+    }
+
+    throw new HttpError(404, 'Not found');
+  }
+
+  /**
+   * @param {String} method - Method of the request
+   * @param {String} allowed - Method allowed for the resource
+   */
+  expect(method, allowed) {
+    if (method !== allowed) {
+      throw new HttpError(405, `Method not allowed, use ${allowed}`);
+    }
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   * @return {Object} the state of a device.
+   */
+  describe(device) {
+    const randomizing = [];
+    for (const [name, property] of device.properties) {
+      if (property.interval) {
+        randomizing.push(name);
+      }
+    }
+
+    return {
+      id: device.id,
+      name: device.name,
+      connected: device.connected,
+      properties: this.values(device),
+      actions: Array.from(device.actions.keys()),
+      events: Array.from(device.events.keys()),
+      randomizing,
+    };
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   * @return {Object} the current property values of a device.
+   */
+  values(device) {
+    const values = {};
+    for (const [name, property] of device.properties) {
+      values[name] = property.value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Read or write a property.
+   *
+   * @param {String} method
+   * @param {VirtualThingsDevice} device
+   * @param {String} name - Name of the property
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  handleProperty(method, device, name, body) {
+    const property = device.findProperty(name);
+    if (!property) {
+      throw new HttpError(404, `Unknown property: ${name}`);
+    }
+
+    if (method === 'GET') {
+      return Promise.resolve({body: {[name]: property.value}});
+    }
+
+    this.expect(method, 'PUT');
+
+    if (!body || !Object.prototype.hasOwnProperty.call(body, name)) {
+      throw new HttpError(400, `Expected {"${name}": value}`);
+    }
+
+    const value = body[name];
+    if (!this.adapter.config.lenientValidation) {
+      const errors = validate(property.descr, value);
+      if (errors.length > 0) {
+        throw new HttpError(400, `Invalid value: ${errors.join(', ')}`);
+      }
+    }
+
+    return Promise.resolve({body: {[name]: property.updateValue(value)}});
+  }
+
+  /**
+   * Request an action, as if the gateway did.
+   *
+   * @param {VirtualThingsDevice} device
+   * @param {String} name - Name of the action
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  handleAction(device, name, body) {
+    if (!device.actions.has(name)) {
+      throw new HttpError(404, `Unknown action: ${name}`);
+    }
+
+    const id = uuidv4();
+    const input =
+      body && Object.prototype.hasOwnProperty.call(body, 'input') ?
+        body.input :
+        {};
+
+    return device.requestAction(id, name, input).then(() => {
+      return {status: 201, body: {id, name, input}};
+    }, (e) => {
+      throw new HttpError(400, `${e}`);
+    });
+  }
+
+  /**
+   * Emit an event.
+   *
+   * @param {VirtualThingsDevice} device
+   * @param {String} name - Name of the event
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  handleEvent(device, name, body) {
+    if (!device.events.has(name)) {
+      throw new HttpError(404, `Unknown event: ${name}`);
+    }
+
+    const data = body ? body.data : null;
+    device.eventNotify(new Event(device, name, data));
+    return Promise.resolve({status: 201, body: {name, data}});
+  }
+
+  /**
+   * Start or stop randomizing the properties of a device.
+   *
+   * @param {VirtualThingsDevice} device
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  handleRandomize(device, body) {
+    if (!body || typeof body.enabled !== 'boolean') {
+      throw new HttpError(400, 'Expected {"enabled": true|false}');
+    }
+
+    const names = Array.isArray(body.properties) ?
+      body.properties :
+      Array.from(device.properties.keys());
+
+    for (const name of names) {
+      const property = device.findProperty(name);
+      if (!property) {
+        throw new HttpError(404, `Unknown property: ${name}`);
+      }
+
+      if (body.enabled) {
+        property.startRandomizing();
+      } else {
+        property.stopRandomizing();
+      }
+    }
+
+    return Promise.resolve({body: this.describe(device)});
+  }
+
+  /**
+   * Read or control the virtual clock.
+   *
+   * @param {String} method
+   * @param {String?} command - `step`, or undefined for the clock itself
+   * @param {any} body
+   * @return {Promise} a promise which resolves to {status, body}.
+   */
+  handleClock(method, command, body) {
+    const clock = this.adapter.clock;
+
+    if (command === 'step') {
+      this.expect(method, 'POST');
+      if (!body || typeof body.seconds !== 'number' || body.seconds < 0) {
+        throw new HttpError(400, 'Expected {"seconds": number}');
+      }
+
+      clock.step(body.seconds * 1000);
+      return Promise.resolve({body: clock.state()});
+    }
+
+    if (typeof command !== 'undefined') {
+      throw new HttpError(404, 'Not found');
+    }
+
+    if (method === 'GET') {
+      return Promise.resolve({body: clock.state()});
+    }
+
+    this.expect(method, 'PUT');
+
+    if (!body ||
+        (typeof body.speed !== 'number' && typeof body.paused !== 'boolean')) {
+      throw new HttpError(400,
+                          'Expected {"speed": number} or {"paused": boolean}');
+    }
+
+    if (Object.prototype.hasOwnProperty.call(body, 'speed')) {
+      if (!(body.speed > 0)) {
+        throw new HttpError(400, 'Speed must be a positive number');
+      }
+
+      clock.setSpeed(body.speed);
+    }
+
+    if (typeof body.paused === 'boolean') {
+      if (body.paused) {
+        clock.pause();
+      } else {
+        clock.resume();
+      }
+    }
+
+    return Promise.resolve({body: clock.state()});
+  }
+}
+
+module.exports = ControlApi;
@@ -0,0 +1,273 @@
+/**
+ * bundles.js - Export and import of custom things and their state
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const mkdirp = require('mkdirp');
+const path = require('path');
+const {validate} = require('./schema');
+
+/**
+ * Version of the bundle format. Bump it whenever the format changes in a way
+ * older versions of the add-on can't read.
+ */
+const BUNDLE_VERSION = 1;
+
+/**
+ * Config lists holding thing definitions, and the prefix of the IDs of the
+ * devices created from them.
+ */
+const DEFINITIONS = {
+  customThings: 'virtual-things-custom-',
+  importedThings: 'virtual-things-imported-',
+};
+
+/**
+ * Bundles hold the definitions of all custom and imported things, plus the
+ * persisted property values of all things:
+ *
+ * {
+ *   "version": 1,
+ *   "created": "2021-01-01T00:00:00.000Z",
+ *   "customThings": [...],
+ *   "importedThings": [...],
+ *   "values": {"<device ID>": {"<property>": value}}
+ * }
+ *
+ * They are stored as <name>.json in a folder of the add-on's data directory.
+ */
+class BundleStore {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {String} dir - Folder of the bundle files
+   */
+  constructor(adapter, dir) {
+    this.adapter = adapter;
+    this.dir = dir;
+    this.pending = {};
+  }
+
+  /**
+   * @return {String[]} the names of the available bundles.
+   */
+  names() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter((file) => path.extname(file).toLowerCase() === '.json')
+      .map((file) => path.basename(file, path.extname(file)))
+      .sort();
+  }
+
+  /**
+   * @param {String} name
+   * @return {String} the path of a bundle file.
+   */
+  file(name) {
+    if (!name || /[/\\]/.test(name) || name.startsWith('.')) {
+      throw new Error(`Invalid bundle name: ${name}`);
+    }
+
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Collect the current definitions and persisted values.
+   *
+   * @return {Promise} a promise which resolves to the bundle.
+   */
+  create() {
+    const bundle = {
+      version: BUNDLE_VERSION,
+      created: new Date().toISOString(),
+    };
+
+    for (const key of Object.keys(DEFINITIONS)) {
+      bundle[key] = JSON.parse(JSON.stringify(this.adapter.config[key] || []));
+    }
+
+    bundle.values = {};
+
+    const store = this.adapter.store;
+    const promises = [];
+    for (const device of Object.values(this.adapter.devices)) {
+      // the state of the bundle manager itself is not worth sharing
+      if (device.id === 'virtual-things-bundle-manager') {
+        continue;
+      }
+
+      for (const name of device.properties.keys()) {
+        promises.push(store.get(device.id, name).then((value) => {
+          if (typeof value === 'undefined' || value === null) {
+            return;
+          }
+
+          if (!bundle.values[device.id]) {
+            bundle.values[device.id] = {};
+          }
+
+          bundle.values[device.id][name] = value;
+        }));
+      }
+    }
+
+    return Promise.all(promises).then(() => bundle);
+  }
+
+  /**
+   * Write a bundle file.
+   *
+   * @param {String} name
+   * @return {Promise} a promise which resolves once the file was written.
+   */
+  export(name) {
+    return Promise.resolve().then(() => {
+      const file = this.file(name);
+
+      return this.create().then((bundle) => {
+        if (!fs.existsSync(this.dir)) {
+          mkdirp.sync(this.dir, {mode: 0o755});
+        }
+
+        fs.writeFileSync(file, `${JSON.stringify(bundle, null, 2)}\n`);
+      });
+    });
+  }
+
+  /**
+   * Load a bundle file.
+   *
+   * @param {String} name
+   * @return {Promise} a promise which resolves once the bundle was applied.
+   */
+  import(name) {
+    return Promise.resolve().then(() => {
+      const bundle = JSON.parse(fs.readFileSync(this.file(name), 'utf8'));
+      return this.apply(bundle);
+    });
+  }
+
+  /**
+   * Add or replace the things defined in a bundle, and restore its values.
+   *
+   * @param {Object} bundle
+   * @return {Promise} a promise which resolves once the bundle was applied.
+   */
+  apply(bundle) {
+    if (!bundle || typeof bundle !== 'object') {
+      throw new Error('Invalid bundle');
+    }
+
+    if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+      throw new Error(`Unsupported bundle version: ${bundle.version}`);
+    }
+
+    const config = this.adapter.config;
+    const replaced = [];
+
+    for (const [key, prefix] of Object.entries(DEFINITIONS)) {
+      if (!Array.isArray(bundle[key])) {
+        continue;
+      }
+
+      if (!config[key]) {
+        config[key] = [];
+      }
+
+      for (const definition of bundle[key]) {
+        if (!definition || !definition.id) {
+          throw new Error(`Definition without ID in ${key}`);
+        }
+
+        const index = config[key].findIndex((d) => d.id === definition.id);
+        if (index >= 0) {
+          config[key][index] = definition;
+        } else {
+          config[key].push(definition);
+        }
+
+        replaced.push(`${prefix}${definition.id}`);
+      }
+    }
+
+    const values = {};
+    for (const [id, properties] of Object.entries(bundle.values || {})) {
+      values[this.adapter.canonicalId(id)] = properties;
+    }
+
+    // Values of things which aren't loaded are stored as they are, and
+    // fitted to the properties once the things are loaded.
+    const promises = [];
+    for (const [id, properties] of Object.entries(values)) {
+      if (this.adapter.devices[id]) {
+        continue;
+      }
+
+      for (const [name, value] of Object.entries(properties)) {
+        promises.push(this.adapter.store.save(id, name, null, value));
+      }
+    }
+
+    return Promise.all(promises).then(() => {
+      for (const [id, properties] of Object.entries(values)) {
+        const device = this.adapter.devices[id];
+
+        if (!device || replaced.includes(id)) {
+          // picked up when the device is created
+          this.pending[id] = properties;
+          continue;
+        }
+
+        for (const [name, value] of Object.entries(properties)) {
+          const property = device.findProperty(name);
+          if (!property) {
+            continue;
+          }
+
+          const errors = validate(property.descr, value);
+          if (errors.length > 0) {
+            console.error(`Ignoring invalid value of ${id} ${name}:`,
+                          errors.join(', '));
+            continue;
+          }
+
+          property.updateValue(value);
+        }
+      }
+
+      for (const id of replaced) {
+        if (this.adapter.devices[id]) {
+          this.adapter.removeThing(this.adapter.devices[id]);
+        }
+      }
+
+      return this.adapter.addAllThings();
+    });
+  }
+
+  /**
+   * Take the values restored from a bundle for a device which is being
+   * created.
+   *
+   * @param {String} id - ID of the device
+   * @return {Object} the values, by property name.
+   */
+  takeValues(id) {
+    const values = this.pending[id] || {};
+    delete this.pending[id];
+    return values;
+  }
+}
+
+module.exports = {
+  BUNDLE_VERSION,
+  BundleStore,
+};
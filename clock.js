@@ -0,0 +1,293 @@
+/**
+ * clock.js - Virtual clock driving all timers of the adapter
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Longest delay setTimeout() accepts.
+ */
+const MAX_DELAY = 0x7fffffff;
+
+/**
+ * How many runs of an interval timer a step, or a busy process, may catch up
+ * on. Older runs are skipped, so that stepping by days doesn't block the
+ * process.
+ */
+const MAX_MISSED_RUNS = 1000;
+
+/**
+ * How many timers a single step may fire before the clock skips ahead to the
+ * end of the step, e.g. for timeouts which set themselves again.
+ */
+const MAX_STEP_FIRINGS = 10000;
+
+/**
+ * A clock which runs at a configurable speed, or is paused and stepped
+ * manually.
+ *
+ * Its timers work like the global ones, except that delays are measured in
+ * virtual time: at a speed of 60, an interval of one minute fires every
+ * second. A single real timer waits for the next virtual timer which is due.
+ */
+class VirtualClock {
+  /**
+   * @param {Object} options - `speed` (virtual seconds per real second) and
+   *                           `paused`
+   */
+  constructor(options = {}) {
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.paused = !!options.paused;
+    this.base = Date.now();
+    this.realBase = this.base;
+    this.timers = [];
+    this.nextId = 1;
+    this.handle = null;
+  }
+
+  /**
+   * @return {number} the virtual time, in milliseconds since the epoch.
+   */
+  now() {
+    if (this.paused) {
+      return this.base;
+    }
+
+    return this.base + (Date.now() - this.realBase) * this.speed;
+  }
+
+  /**
+   * @return {Object} the state of the clock.
+   */
+  state() {
+    return {
+      time: new Date(this.now()).toISOString(),
+      speed: this.speed,
+      paused: this.paused,
+    };
+  }
+
+  /**
+   * Start measuring the elapsed time from now on, e.g. before the speed
+   * changes.
+   */
+  rebase() {
+    this.base = this.now();
+    this.realBase = Date.now();
+  }
+
+  /**
+   * @param {number} speed - Virtual seconds per real second
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error(`Invalid clock speed: ${speed}`);
+    }
+
+    this.rebase();
+    this.speed = speed;
+    this.reschedule();
+  }
+
+  pause() {
+    this.rebase();
+    this.paused = true;
+    this.reschedule();
+  }
+
+  resume() {
+    this.rebase();
+    this.paused = false;
+    this.reschedule();
+  }
+
+  /**
+   * Advance the clock, firing all timers which become due on the way, in
+   * order. Interval timers only fire for their last MAX_MISSED_RUNS runs.
+   * After MAX_STEP_FIRINGS timers, the clock skips to the end of the step, so
+   * that the timers which are due fire once more.
+   *
+   * @param {number} ms - Virtual milliseconds to advance by
+   */
+  step(ms) {
+    if (!(ms >= 0)) {
+      throw new Error(`Invalid clock step: ${ms}`);
+    }
+
+    const target = this.now() + ms;
+    let fired = 0;
+
+    while (this.timers.length > 0 && this.timers[0].due <= target) {
+      const timer = this.timers[0];
+
+      if (fired < MAX_STEP_FIRINGS) {
+        this.base = Math.max(timer.due, this.now());
+      } else {
+        if (fired === MAX_STEP_FIRINGS) {
+          console.error('Too many timers for one step, skipping ahead');
+        }
+
+        this.base = target;
+      }
+
+      this.realBase = Date.now();
+      this.fire(timer, target, fired < MAX_STEP_FIRINGS ? MAX_MISSED_RUNS : 0);
+      fired++;
+    }
+
+    this.base = target;
+    this.realBase = Date.now();
+    this.reschedule();
+  }
+
+  /**
+   * Stop all timers, e.g. when the adapter is unloaded.
+   */
+  stop() {
+    this.timers = [];
+    this.reschedule();
+  }
+
+  /**
+   * @param {function} callback
+   * @param {number} ms - Delay in virtual milliseconds
+   * @return {Object} the timer, for clearTimeout().
+   */
+  setTimeout(callback, ms) {
+    return this.add(callback, ms, false);
+  }
+
+  /**
+   * @param {function} callback
+   * @param {number} ms - Interval in virtual milliseconds
+   * @return {Object} the timer, for clearInterval().
+   */
+  setInterval(callback, ms) {
+    return this.add(callback, ms, true);
+  }
+
+  /**
+   * @param {Object} timer
+   */
+  clearTimeout(timer) {
+    const index = this.timers.indexOf(timer);
+    if (index < 0) {
+      return;
+    }
+
+    this.timers.splice(index, 1);
+    if (index === 0) {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * @param {Object} timer
+   */
+  clearInterval(timer) {
+    this.clearTimeout(timer);
+  }
+
+  /**
+   * @param {function} callback
+   * @param {number} ms
+   * @param {boolean} repeat
+   * @return {Object} the timer.
+   */
+  add(callback, ms, repeat) {
+    // like the global timers, fire after at least a millisecond
+    const delay = Math.max(Number(ms) || 0, 1);
+    const timer = {
+      id: this.nextId++,
+      due: this.now() + delay,
+      interval: repeat ? delay : 0,
+      callback,
+    };
+
+    this.insert(timer);
+    return timer;
+  }
+
+  /**
+   * Add a timer to the list, which is sorted by due time. Timers due at the
+   * same time fire in the order they were added.
+   *
+   * @param {Object} timer
+   */
+  insert(timer) {
+    let index = this.timers.findIndex((t) => t.due > timer.due);
+    if (index < 0) {
+      index = this.timers.length;
+    }
+
+    this.timers.splice(index, 0, timer);
+    if (index === 0) {
+      this.reschedule();
+    }
+  }
+
+  /**
+   * @param {Object} timer - The first timer of the list
+   * @param {number} until - Time up to which timers are being fired
+   * @param {number} maxMissed - How many more runs an interval timer may
+   *                             catch up on
+   */
+  fire(timer, until, maxMissed = MAX_MISSED_RUNS) {
+    this.timers.shift();
+
+    if (timer.interval > 0) {
+      timer.due += timer.interval;
+
+      const missed = Math.floor((until - timer.due) / timer.interval);
+      if (missed > maxMissed) {
+        timer.due += (missed - maxMissed) * timer.interval;
+      }
+
+      this.insert(timer);
+    }
+
+    try {
+      timer.callback();
+    } catch (e) {
+      console.error('Timer failed:', e);
+    }
+  }
+
+  /**
+   * Fire the timers which are due by now.
+   */
+  advance() {
+    this.handle = null;
+
+    const now = this.now();
+    while (this.timers.length > 0 && this.timers[0].due <= now) {
+      this.fire(this.timers[0], now);
+    }
+
+    this.reschedule();
+  }
+
+  /**
+   * Set the real timer for the next virtual timer which is due.
+   */
+  reschedule() {
+    if (this.handle) {
+      clearTimeout(this.handle);
+      this.handle = null;
+    }
+
+    if (this.paused || this.timers.length === 0) {
+      return;
+    }
+
+    const delay = (this.timers[0].due - this.now()) / this.speed;
+    this.handle = setTimeout(() => this.advance(),
+                             Math.min(Math.max(delay, 0), MAX_DELAY));
+  }
+}
+
+module.exports = VirtualClock;
@@ -0,0 +1,234 @@
+/**
+ * effects.js - Declarative effects of custom actions
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Event} = require('gateway-addon');
+
+const EFFECT_TYPES = [
+  'set',
+  'toggle',
+  'increment',
+  'decrement',
+  'wait',
+  'emit',
+];
+
+/**
+ * Look up a dotted path, e.g. `input.speed` or `properties.state`, in the
+ * context of an action.
+ *
+ * @param {Object} context - {input, properties}
+ * @param {String} ref
+ * @return {any} the value, or undefined if there is none.
+ */
+function lookup(context, ref) {
+  let value = context;
+  for (const part of ref.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+
+    value = value[part];
+  }
+
+  return value;
+}
+
+/**
+ * Fill in the `{{input.x}}` and `{{properties.y}}` placeholders of a template.
+ * A string which is a single placeholder is replaced by the value itself,
+ * otherwise the values are inserted as text.
+ *
+ * @param {any} template - JSON value holding placeholders
+ * @param {Object} context - {input, properties}
+ * @return {any} the filled in value.
+ */
+function fill(template, context) {
+  if (typeof template === 'string') {
+    const single = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (single) {
+      return lookup(context, single[1]);
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, ref) => {
+      const value = lookup(context, ref);
+      if (typeof value === 'undefined') {
+        return '';
+      }
+
+      return typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map((item) => fill(item, context));
+  }
+
+  if (template !== null && typeof template === 'object') {
+    const value = {};
+    for (const [key, member] of Object.entries(template)) {
+      value[key] = fill(member, context);
+    }
+
+    return value;
+  }
+
+  return template;
+}
+
+/**
+ * Parse a value from the config, which may be JSON or plain text.
+ *
+ * @param {any} value
+ * @return {any} the parsed value.
+ */
+function parseValue(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (ex) {
+    return value;
+  }
+}
+
+/**
+ * Clean up the effects of a custom action from the config, dropping invalid
+ * ones.
+ *
+ * @param {Object[]} effects
+ * @return {Object[]} the usable effects.
+ */
+function normalizeEffects(effects) {
+  if (!Array.isArray(effects)) {
+    return [];
+  }
+
+  return effects.filter((effect) => {
+    if (!EFFECT_TYPES.includes(effect.type)) {
+      console.error('Ignoring effect of unknown type:', effect);
+      return false;
+    }
+
+    if (
+      ['set', 'toggle', 'increment', 'decrement'].includes(effect.type) &&
+      !effect.property
+    ) {
+      console.error('Ignoring effect without property:', effect);
+      return false;
+    }
+
+    if (effect.type === 'emit' && !effect.event) {
+      console.error('Ignoring effect without event:', effect);
+      return false;
+    }
+
+    return true;
+  }).map((effect) => {
+    effect = Object.assign({}, effect);
+    if (effect.hasOwnProperty('value')) {
+      effect.value = parseValue(effect.value);
+    }
+
+    if (effect.hasOwnProperty('data')) {
+      effect.data = parseValue(effect.data);
+    }
+
+    return effect;
+  });
+}
+
+/**
+ * Apply the effects of an action, one after the other.
+ *
+ * @param {VirtualThingsDevice} device
+ * @param {Action} action
+ * @param {Object[]} effects
+ * @return {Promise} a promise which resolves once all effects were applied.
+ */
+function runEffects(device, action, effects) {
+  const context = () => {
+    const properties = {};
+    for (const [name, property] of device.properties) {
+      properties[name] = property.value;
+    }
+
+    return {input: action.input, properties};
+  };
+
+  let promise = Promise.resolve();
+  for (const effect of effects) {
+    promise = promise.then(() => {
+      const property = effect.property ?
+        device.findProperty(effect.property) :
+        null;
+
+      if (effect.property && !property) {
+        console.error(`Effect on unknown property "${effect.property}"`);
+        return;
+      }
+
+      switch (effect.type) {
+        case 'set': {
+          let value = effect.value;
+          if (effect.inputField) {
+            value = lookup({input: action.input}, `input.${effect.inputField}`);
+            if (typeof value === 'undefined') {
+              throw new Error(`Missing input field "${effect.inputField}"`);
+            }
+          } else {
+            value = fill(value, context());
+            if (typeof value === 'undefined') {
+              throw new Error(`No value for property "${effect.property}"`);
+            }
+          }
+
+          return property.applyValue(property.coerceValue(value));
+        }
+        case 'toggle':
+          return property.applyValue(!property.value);
+        case 'increment':
+        case 'decrement': {
+          const amount = typeof effect.amount === 'number' ? effect.amount : 1;
+          const sign = effect.type === 'increment' ? 1 : -1;
+          return property.applyValue(
+            property.constrainValue((property.value || 0) + sign * amount)
+          );
+        }
+        case 'wait':
+          // the device rejects waits which are pending when it stops
+          return new Promise((resolve, reject) => {
+            const wait = {reject};
+            wait.timer = device.adapter.clock.setTimeout(() => {
+              device.waits.delete(wait);
+              resolve();
+            }, (effect.seconds || 0) * 1000);
+            device.waits.add(wait);
+          });
+        case 'emit':
+          device.eventNotify(
+            new Event(device, effect.event, fill(effect.data, context()))
+          );
+          break;
+      }
+    });
+  }
+
+  return promise;
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  fill,
+  normalizeEffects,
+  parseValue,
+  runEffects,
+};
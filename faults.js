@@ -0,0 +1,165 @@
+/**
+ * faults.js - Fault injection for virtual things
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Makes a device misbehave like a flaky real one.
+ *
+ * The profile may contain:
+ * - outageInterval, outageDuration: every `outageInterval` seconds, the device
+ *   disconnects for `outageDuration` seconds. While disconnected, writes and
+ *   actions fail and value changes are not reported.
+ * - staleInterval, staleDuration: every `staleInterval` seconds, the device
+ *   stops reporting value changes for `staleDuration` seconds.
+ * - rejectProbability: probability that a write or action fails.
+ * - hangProbability: probability that a write or action doesn't complete
+ *   until the device stops.
+ * - latency, jitter: seconds to wait before handling a write or action, plus a
+ *   random extra of up to `jitter` seconds.
+ */
+class FaultInjector {
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {Object} profile - Fault profile from the adapter config
+   */
+  constructor(device, profile) {
+    this.device = device;
+    this.profile = profile;
+    this.connected = true;
+    this.stale = false;
+    this.timers = [];
+    this.pending = new Set();
+  }
+
+  start() {
+    const p = this.profile;
+
+    if (p.outageInterval > 0 && p.outageDuration > 0) {
+      this.cycle(p.outageInterval, p.outageDuration, (active) => {
+        this.connected = !active;
+        this.device.connectedNotify(this.connected);
+
+        if (this.connected) {
+          this.reportAll();
+        }
+      });
+    }
+
+    if (p.staleInterval > 0 && p.staleDuration > 0) {
+      this.cycle(p.staleInterval, p.staleDuration, (active) => {
+        this.stale = active;
+
+        if (!this.stale) {
+          this.reportAll();
+        }
+      });
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers) {
+      this.device.adapter.clock.clearTimeout(timer);
+    }
+
+    this.timers = [];
+
+    // writes and actions which are delayed or hang fail once stopped
+    for (const reject of this.pending) {
+      reject('Device stopped');
+    }
+
+    this.pending.clear();
+  }
+
+  /**
+   * Repeatedly turn a fault on after `interval` seconds, and off again after
+   * `duration` seconds.
+   *
+   * @param {number} interval
+   * @param {number} duration
+   * @param {function} callback - Called with true when the fault starts, and
+   *                              false when it ends
+   */
+  cycle(interval, duration, callback) {
+    const clock = this.device.adapter.clock;
+    const timer = clock.setTimeout(() => {
+      this.timers = this.timers.filter((t) => t !== timer);
+      callback(true);
+
+      const endTimer = clock.setTimeout(() => {
+        this.timers = this.timers.filter((t) => t !== endTimer);
+        callback(false);
+        this.cycle(interval, duration, callback);
+      }, duration * 1000);
+      this.timers.push(endTimer);
+    }, interval * 1000);
+    this.timers.push(timer);
+  }
+
+  /**
+   * Report the current value of all properties, e.g. once the device is back.
+   */
+  reportAll() {
+    for (const property of this.device.properties.values()) {
+      this.device.notifyPropertyChanged(property);
+    }
+  }
+
+  /**
+   * @return {boolean} whether value changes should be reported right now.
+   */
+  isReporting() {
+    return this.connected && !this.stale;
+  }
+
+  /**
+   * Run a write or an action, subject to the configured faults.
+   *
+   * @param {function} operation - Returns the result, or a promise for it
+   * @return {Promise} a promise which resolves to the result of the
+   *                   operation, rejects if a failure was injected, or only
+   *                   settles once stopped if a hang was injected.
+   */
+  apply(operation) {
+    const p = this.profile;
+
+    if (!this.connected) {
+      return Promise.reject('Device is offline');
+    }
+
+    const random = this.device.random;
+
+    if (random() < (p.hangProbability || 0)) {
+      return new Promise((resolve, reject) => {
+        this.pending.add(reject);
+      });
+    }
+
+    if (random() < (p.rejectProbability || 0)) {
+      return Promise.reject('Injected failure');
+    }
+
+    const delay = (p.latency || 0) + random() * (p.jitter || 0);
+    if (delay <= 0) {
+      return Promise.resolve().then(operation);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = this.device.adapter.clock.setTimeout(() => {
+        this.timers = this.timers.filter((t) => t !== timer);
+        this.pending.delete(reject);
+        resolve();
+      }, delay * 1000);
+      this.timers.push(timer);
+      this.pending.add(reject);
+    }).then(operation);
+  }
+}
+
+module.exports = FaultInjector;
@@ -0,0 +1,310 @@
+/**
+ * links.js - Properties of virtual things reacting to other things
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {parseValue} = require('./effects');
+
+const LINK_EFFECTS = [
+  'set',
+  'adjust',
+  'copy',
+  'delta',
+];
+
+/**
+ * How many links may fire from within each other before the chain is cut, so
+ * that links which feed each other don't recurse forever.
+ */
+const MAX_DEPTH = 10;
+
+/**
+ * Changes a property of one thing when a property of another one changes.
+ *
+ * The condition on the source property is any combination of `value` (equal
+ * to), `above` and `below`, which must all hold. Effects are one of:
+ * - set: set the target to `value` when the condition becomes true.
+ * - adjust: add `amount` to the target when the condition becomes true.
+ * - copy: set the target to the source value, whenever it changes while the
+ *   condition holds.
+ * - delta: move the target by as much as the source changed, whenever it
+ *   changes while the condition holds.
+ *
+ * With `revert`, set and adjust are undone when the condition no longer
+ * holds. All effects can be delayed by `delay` seconds.
+ */
+class Link {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {Object} link - Link from the config
+   */
+  constructor(adapter, link) {
+    this.adapter = adapter;
+    this.source = Object.assign({}, link.source);
+    this.target = Object.assign({}, link.target);
+    this.effect = link.effect || 'set';
+    this.value = parseValue(link.value);
+    this.amount = typeof link.amount === 'number' ? link.amount : 0;
+    this.delay = link.delay > 0 ? link.delay : 0;
+    this.revert = !!link.revert;
+    this.timers = [];
+    this.pending = null;
+    this.saved = null;
+    this.missing = false;
+
+    if (this.source.hasOwnProperty('value')) {
+      this.source.value = parseValue(this.source.value);
+    }
+  }
+
+  /**
+   * @return {String} a description of the link, for log messages.
+   */
+  toString() {
+    return `${this.source.thing}.${this.source.property} -> ` +
+      `${this.target.thing}.${this.target.property}`;
+  }
+
+  stop() {
+    for (const timer of this.timers) {
+      this.adapter.clock.clearTimeout(timer);
+    }
+
+    this.timers = [];
+    this.pending = null;
+  }
+
+  /**
+   * @param {any} value - Value of the source property
+   * @return {boolean} whether the condition holds.
+   */
+  matches(value) {
+    const s = this.source;
+
+    if (s.hasOwnProperty('value') &&
+        JSON.stringify(value) !== JSON.stringify(s.value)) {
+      return false;
+    }
+
+    if (typeof s.above === 'number' && !(value > s.above)) {
+      return false;
+    }
+
+    if (typeof s.below === 'number' && !(value < s.below)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * React to a change of any property of any thing.
+   *
+   * @param {VirtualThingsDevice} device
+   * @param {VirtualThingsProperty} property
+   * @param {any} previous - The value before the change
+   */
+  handleValueChanged(device, property, previous) {
+    // findDevice() only knows devices which were added, so initial and
+    // restored values never fire links
+    if (property.name !== this.source.property ||
+        this.adapter.findDevice(this.source.thing) !== device) {
+      return;
+    }
+
+    const value = property.value;
+    const was = this.matches(previous);
+    const is = this.matches(value);
+
+    switch (this.effect) {
+      case 'set':
+      case 'adjust':
+        if (is && !was) {
+          this.pending = this.schedule(() => {
+            this.pending = null;
+            this.apply();
+          });
+        } else if (was && !is && this.revert) {
+          if (this.pending) {
+            // never applied, so there is nothing to undo
+            this.cancel(this.pending);
+            this.pending = null;
+          } else {
+            this.schedule(() => this.undo());
+          }
+        }
+
+        break;
+      case 'copy':
+        if (is) {
+          this.schedule(() => this.update((target) => {
+            return target.coerceValue(value);
+          }));
+        }
+
+        break;
+      case 'delta':
+        if (is && typeof value === 'number' && typeof previous === 'number') {
+          const change = value - previous;
+          this.schedule(() => this.update((target) => {
+            return target.constrainValue((target.value || 0) + change);
+          }));
+        }
+
+        break;
+    }
+  }
+
+  /**
+   * Run a function after the delay of the link.
+   *
+   * @param {function} fn
+   * @return {Object?} the timer, or null if the function ran right away.
+   */
+  schedule(fn) {
+    if (this.delay <= 0) {
+      fn();
+      return null;
+    }
+
+    const clock = this.adapter.clock;
+    const timer = clock.setTimeout(() => {
+      this.timers = this.timers.filter((t) => t !== timer);
+      fn();
+    }, this.delay * 1000);
+    this.timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * @param {Object} timer
+   */
+  cancel(timer) {
+    this.adapter.clock.clearTimeout(timer);
+    this.timers = this.timers.filter((t) => t !== timer);
+  }
+
+  /**
+   * Apply a set or adjust effect.
+   */
+  apply() {
+    this.update((target) => {
+      this.saved = target.value;
+
+      if (this.effect === 'adjust') {
+        return target.constrainValue((target.value || 0) + this.amount);
+      }
+
+      return target.coerceValue(this.value);
+    });
+  }
+
+  /**
+   * Undo a set or adjust effect.
+   */
+  undo() {
+    this.update((target) => {
+      if (this.effect === 'adjust') {
+        return target.constrainValue((target.value || 0) - this.amount);
+      }
+
+      return this.saved;
+    });
+  }
+
+  /**
+   * Set the target property, which must accept the value and be online.
+   *
+   * @param {function} compute - Computes the new value from the target
+   *                             property
+   */
+  update(compute) {
+    const device = this.adapter.findDevice(this.target.thing);
+    const property = device ? device.findProperty(this.target.property) : null;
+    if (!property) {
+      // the target may not have been added yet, so only complain once
+      if (!this.missing) {
+        console.error(`Link ${this}: unknown target`);
+        this.missing = true;
+      }
+
+      return;
+    }
+
+    this.missing = false;
+
+    const value = compute(property);
+    if (typeof value !== 'undefined' && value !== property.value) {
+      property.applyValue(value).catch((e) => {
+        console.error(`Link ${this}: failed to set target:`, e);
+      });
+    }
+  }
+}
+
+/**
+ * All links from the adapter config.
+ */
+class Links {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {Object[]} links - Links from the config
+   */
+  constructor(adapter, links) {
+    this.depth = 0;
+    this.links = [];
+
+    for (const link of links || []) {
+      if (!link.source || !link.source.thing || !link.source.property ||
+          !link.target || !link.target.thing || !link.target.property) {
+        console.error('Ignoring link without source or target:', link);
+        continue;
+      }
+
+      if (link.effect && !LINK_EFFECTS.includes(link.effect)) {
+        console.error(`Ignoring link with unknown effect "${link.effect}"`);
+        continue;
+      }
+
+      this.links.push(new Link(adapter, link));
+    }
+  }
+
+  stop() {
+    for (const link of this.links) {
+      link.stop();
+    }
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {VirtualThingsProperty} property
+   * @param {any} previous - The value before the change
+   */
+  handleValueChanged(device, property, previous) {
+    if (this.depth >= MAX_DEPTH) {
+      console.error(`Links nested too deeply, ignoring ${device.id} ` +
+                    `${property.name}`);
+      return;
+    }
+
+    this.depth++;
+    try {
+      for (const link of this.links) {
+        link.handleValueChanged(device, property, previous);
+      }
+    } finally {
+      this.depth--;
+    }
+  }
+}
+
+module.exports = {
+  LINK_EFFECTS,
+  Links,
+};
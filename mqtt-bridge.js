@@ -0,0 +1,180 @@
+/**
+ * mqtt-bridge.js - Mirrors virtual things to an MQTT broker
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const mqtt = require('mqtt');
+const {validate} = require('./schema');
+
+/**
+ * Publishes the state of the virtual things to an MQTT broker, and lets other
+ * clients drive their properties:
+ *
+ * - <prefix>/<deviceId>/<property>: the value, as JSON, retained
+ * - <prefix>/<deviceId>/<property>/set: set the value, even if the property
+ *   is read-only
+ * - <prefix>/<deviceId>/events/<event>: event data, as JSON
+ * - <prefix>/<deviceId>/$connected: true or false, retained. The `$` keeps it
+ *   apart from a property named `connected`.
+ */
+class MqttBridge {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {Object} options - MQTT settings from the adapter config
+   */
+  constructor(adapter, options) {
+    this.adapter = adapter;
+    this.options = options;
+    this.prefix = (options.topicPrefix || 'virtual-things').replace(/\/+$/, '');
+    this.client = null;
+  }
+
+  start() {
+    const url = this.options.url || 'mqtt://localhost:1883';
+    const options = {};
+
+    if (this.options.username) {
+      options.username = this.options.username;
+      options.password = this.options.password;
+    }
+
+    this.client = mqtt.connect(url, options);
+
+    this.client.on('connect', () => {
+      console.log(`Connected to MQTT broker at ${url}`);
+      this.client.subscribe(`${this.prefix}/+/+/set`);
+
+      for (const device of Object.values(this.adapter.devices)) {
+        this.publishDevice(device);
+      }
+    });
+
+    this.client.on('message', (topic, message) => {
+      this.handleMessage(topic, message.toString());
+    });
+
+    this.client.on('error', (e) => {
+      console.error('MQTT error:', e.message);
+    });
+  }
+
+  stop() {
+    if (this.client) {
+      this.client.end();
+      this.client = null;
+    }
+  }
+
+  /**
+   * @param {String} topic
+   * @param {any} value - Value to publish as JSON
+   * @param {boolean} retain
+   */
+  publish(topic, value, retain) {
+    if (!this.client || !this.client.connected) {
+      return;
+    }
+
+    const payload =
+      typeof value === 'undefined' ? 'null' : JSON.stringify(value);
+    this.client.publish(topic, payload, {retain});
+  }
+
+  /**
+   * Publish the connection state and all property values of a device.
+   *
+   * @param {VirtualThingsDevice} device
+   */
+  publishDevice(device) {
+    this.publishConnected(device);
+
+    for (const property of device.properties.values()) {
+      this.publishProperty(device, property);
+    }
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {VirtualThingsProperty} property
+   */
+  publishProperty(device, property) {
+    this.publish(`${this.prefix}/${device.id}/${property.name}`,
+                 property.value,
+                 true);
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {Event} event
+   */
+  publishEvent(device, event) {
+    this.publish(`${this.prefix}/${device.id}/events/${event.name}`,
+                 event.data,
+                 false);
+  }
+
+  /**
+   * @param {VirtualThingsDevice} device
+   */
+  publishConnected(device) {
+    this.publish(`${this.prefix}/${device.id}/$connected`,
+                 device.connected,
+                 true);
+  }
+
+  /**
+   * Handle a message on a set topic.
+   *
+   * @param {String} topic
+   * @param {String} payload - The new value, as JSON or plain text
+   */
+  handleMessage(topic, payload) {
+    const parts = topic.substring(this.prefix.length + 1).split('/');
+    if (parts.length !== 3 || parts[2] !== 'set') {
+      return;
+    }
+
+    const device = this.adapter.findDevice(parts[0]);
+    const property = device ? device.findProperty(parts[1]) : null;
+    if (!property) {
+      console.error(`MQTT message for unknown property: ${topic}`);
+      return;
+    }
+
+    let value;
+    try {
+      value = JSON.parse(payload);
+    } catch (e) {
+      value = payload;
+    }
+
+    try {
+      value = property.coerceValue(value);
+
+      if (typeof value === 'number' && !isFinite(value)) {
+        console.error(`Invalid value on ${topic}: ${payload}`);
+        return;
+      }
+
+      if (!this.adapter.config.lenientValidation) {
+        const errors = validate(property.descr, value);
+        if (errors.length > 0) {
+          console.error(`Invalid value on ${topic}: ${errors.join(', ')}`);
+          return;
+        }
+      }
+    } catch (e) {
+      console.error(`Invalid value on ${topic}:`, e.message);
+      return;
+    }
+
+    property.updateValue(value);
+  }
+}
+
+module.exports = MqttBridge;
@@ -0,0 +1,115 @@
+/**
+ * random.js - Seedable random numbers
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Create a random number generator.
+ *
+ * @param {number?} seed - Seed for a reproducible sequence, or undefined to
+ *                         use Math.random
+ * @return {function} a function which returns numbers in [0, 1), like
+ *                    Math.random.
+ */
+function createRandom(seed) {
+  if (typeof seed !== 'number' || !isFinite(seed)) {
+    return Math.random;
+  }
+
+  // mulberry32
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Derive a seed for one consumer, e.g. a device, from a shared seed, so that
+ * each consumer gets its own sequence.
+ *
+ * @param {number} seed - The shared seed
+ * @param {String} key - Identifies the consumer
+ * @return {number} the derived seed.
+ */
+function deriveSeed(seed, key) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (const c of `${seed}:${key}`) {
+    hash ^= c.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * @param {boolean} integer - Whether to return an integer
+ * @param {number?} min
+ * @param {number?} max
+ * @param {function} random - Random number generator
+ * @return {number} a random number in [min, max], or in [0, 1) if there is no
+ *                  range.
+ */
+function randomNumber(integer, min, max, random = Math.random) {
+  if (typeof min === 'number' && typeof max === 'number') {
+    if (integer) {
+      min = Math.ceil(min);
+      max = Math.floor(max);
+      return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    return random() * (max - min) + min;
+  }
+
+  const value = random();
+
+  if (integer) {
+    return Math.floor(value);
+  }
+
+  return value;
+}
+
+/**
+ * @param {number} mean
+ * @param {number} stddev
+ * @param {function} random - Random number generator
+ * @return {number} a normally distributed random number.
+ */
+function randomGaussian(mean, stddev, random = Math.random) {
+  // Box-Muller transform
+  const u = 1 - random();
+  const v = random();
+  return mean +
+    stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * @param {number} bytes - Number of random bytes
+ * @param {function} random - Random number generator
+ * @return {String} the bytes, as hex.
+ */
+function randomHex(bytes, random = Math.random) {
+  let hex = '';
+  for (let i = 0; i < bytes; i++) {
+    hex += Math.floor(random() * 256).toString(16).padStart(2, '0');
+  }
+
+  return hex;
+}
+
+module.exports = {
+  createRandom,
+  deriveSeed,
+  randomGaussian,
+  randomHex,
+  randomNumber,
+};
@@ -0,0 +1,272 @@
+/**
+ * scenarios.js - Timelines which drive virtual things
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Event} = require('gateway-addon');
+const fs = require('fs');
+const path = require('path');
+const {v4: uuidv4} = require('uuid');
+const yaml = require('js-yaml');
+
+/**
+ * Load and check a scenario file.
+ *
+ * A scenario looks like:
+ *
+ *   name: Someone comes home
+ *   loop: false
+ *   duration: 120
+ *   steps:
+ *     - {at: 5, thing: Virtual Door Sensor, property: open, value: true}
+ *     - {at: 7, thing: Virtual Motion Sensor, property: motion, value: true}
+ *     - {at: 60, thing: Virtual Thermostat, property: temperature, value: 30}
+ *     - {at: 61, thing: Virtual Alarm, event: alarmEvent, data: Intruder!}
+ *     - {at: 62, thing: virtual-things-lock, action: lock}
+ *     - {at: 90, thing: Virtual Lock, connected: false}
+ *
+ * Steps are run `at` seconds after the start of the scenario. Things are
+ * referenced by ID or by name. When looping, the scenario restarts after
+ * `duration` seconds, or right after its last step.
+ *
+ * @param {String} file - Path to a .json, .yaml or .yml file
+ * @return {Object} the scenario.
+ */
+function loadScenario(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  const scenario = ext === '.json' ? JSON.parse(text) : yaml.load(text);
+
+  if (!scenario || !Array.isArray(scenario.steps)) {
+    throw new Error('Scenario has no steps');
+  }
+
+  for (const step of scenario.steps) {
+    if (typeof step.at !== 'number' || step.at < 0) {
+      throw new Error(`Invalid step time: ${JSON.stringify(step)}`);
+    }
+
+    if (!step.thing) {
+      throw new Error(`Step without thing: ${JSON.stringify(step)}`);
+    }
+
+    if (
+      !step.property && !step.event && !step.action &&
+      !step.hasOwnProperty('connected')
+    ) {
+      throw new Error(`Step without effect: ${JSON.stringify(step)}`);
+    }
+  }
+
+  return {
+    name: `${scenario.name || path.basename(file, ext)}`,
+    description: scenario.description || '',
+    loop: !!scenario.loop,
+    duration: scenario.duration,
+    steps: scenario.steps.slice().sort((a, b) => a.at - b.at),
+  };
+}
+
+/**
+ * Loads scenarios from a directory and plays them, one at a time.
+ */
+class ScenarioRunner {
+  /**
+   * @param {VirtualThingsAdapter} adapter
+   * @param {String} dir - Directory holding the scenario files
+   */
+  constructor(adapter, dir) {
+    this.adapter = adapter;
+    this.dir = dir;
+    this.scenarios = new Map();
+    this.timers = [];
+    this.current = null;
+    this.loop = false;
+    this.listeners = [];
+  }
+
+  /**
+   * (Re)load all scenarios from the scenario directory.
+   *
+   * @return {String[]} the names of the loaded scenarios.
+   */
+  load() {
+    this.scenarios.clear();
+
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    for (const entry of fs.readdirSync(this.dir).sort()) {
+      if (!['.json', '.yaml', '.yml'].includes(path.extname(entry))) {
+        continue;
+      }
+
+      try {
+        const scenario = loadScenario(path.join(this.dir, entry));
+        this.scenarios.set(scenario.name, scenario);
+      } catch (e) {
+        console.error(`Failed to load scenario ${entry}:`, e.message);
+      }
+    }
+
+    return this.names();
+  }
+
+  /**
+   * @return {String[]} the names of the loaded scenarios.
+   */
+  names() {
+    return Array.from(this.scenarios.keys());
+  }
+
+  /**
+   * Register a callback for state changes, called with one of `started`,
+   * `finished` or `stopped`, and the scenario name.
+   *
+   * @param {function} listener
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Unregister a callback registered with onChange().
+   *
+   * @param {function} listener
+   */
+  offChange(listener) {
+    this.listeners = this.listeners.filter((l) => l !== listener);
+  }
+
+  /**
+   * Start a scenario, stopping the running one.
+   *
+   * @param {String} name - Name of the scenario
+   * @param {boolean?} loop - Whether to loop, defaults to the scenario's own
+   *                          setting
+   */
+  start(name, loop) {
+    const scenario = this.scenarios.get(name);
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+
+    this.stop();
+
+    this.current = scenario;
+    this.loop = typeof loop === 'boolean' ? loop : scenario.loop;
+    this.notify('started');
+    this.schedule();
+  }
+
+  /**
+   * Stop the running scenario, if any.
+   */
+  stop() {
+    this.clearTimers();
+
+    if (this.current) {
+      const name = this.current.name;
+      this.current = null;
+      this.notify('stopped', name);
+    }
+  }
+
+  /**
+   * @return {boolean} whether a scenario is running.
+   */
+  isRunning() {
+    return !!this.current;
+  }
+
+  clearTimers() {
+    for (const timer of this.timers) {
+      this.adapter.clock.clearTimeout(timer);
+    }
+
+    this.timers = [];
+  }
+
+  notify(state, name = this.current.name) {
+    for (const listener of this.listeners) {
+      listener(state, name);
+    }
+  }
+
+  /**
+   * Schedule one pass over the steps of the current scenario.
+   */
+  schedule() {
+    const scenario = this.current;
+    const clock = this.adapter.clock;
+
+    for (const step of scenario.steps) {
+      this.timers.push(clock.setTimeout(() => this.run(step), step.at * 1000));
+    }
+
+    const last = scenario.steps.length > 0 ?
+      scenario.steps[scenario.steps.length - 1].at :
+      0;
+    // wait at least a second between passes, so that empty loops don't spin
+    const duration = Math.max(scenario.duration || 0, last, 1);
+
+    this.timers.push(clock.setTimeout(() => {
+      this.clearTimers();
+
+      if (this.loop) {
+        this.schedule();
+      } else {
+        this.current = null;
+        this.notify('finished', scenario.name);
+      }
+    }, duration * 1000));
+  }
+
+  /**
+   * Apply a single step.
+   *
+   * @param {Object} step
+   */
+  run(step) {
+    const device = this.adapter.findDevice(step.thing);
+    if (!device) {
+      console.error(`Scenario step: unknown thing "${step.thing}"`);
+      return;
+    }
+
+    if (step.property) {
+      const property = device.findProperty(step.property);
+      if (property) {
+        property.updateValue(step.value);
+      } else {
+        console.error(
+          `Scenario step: unknown property "${step.property}" of ${device.id}`
+        );
+      }
+    }
+
+    if (step.event) {
+      device.eventNotify(new Event(device, step.event, step.data));
+    }
+
+    if (step.action) {
+      device.requestAction(uuidv4(), step.action, step.input)
+        .catch((e) => console.error('Scenario step:', e));
+    }
+
+    if (step.hasOwnProperty('connected')) {
+      device.connectedNotify(!!step.connected);
+    }
+  }
+}
+
+module.exports = {
+  ScenarioRunner,
+  loadScenario,
+};
@@ -0,0 +1,343 @@
+/**
+ * schema.js - Helpers for the JSON schemas of properties and actions
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {randomHex} = require('./random');
+
+/**
+ * Keywords which describe the structure of object and array values, and are
+ * copied from a custom property's schema into its metadata.
+ */
+const STRUCTURE_KEYWORDS = [
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'minItems',
+  'maxItems',
+];
+
+/**
+ * Generate a random value which conforms to a schema.
+ *
+ * @param {Object} schema
+ * @param {function} random - Random number generator
+ * @return {any} the value.
+ */
+function randomValue(schema = {}, random = Math.random) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[Math.floor(random() * schema.enum.length)];
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return random() >= 0.5;
+    case 'integer':
+    case 'number': {
+      const min = typeof schema.minimum === 'number' ? schema.minimum : 0;
+      const max = typeof schema.maximum === 'number' ?
+        schema.maximum :
+        min + 100;
+      let value = random() * (max - min) + min;
+
+      if (typeof schema.multipleOf === 'number') {
+        value = Math.round(value / schema.multipleOf) * schema.multipleOf;
+        value = Math.min(Math.max(value, min), max);
+      }
+
+      return schema.type === 'integer' ? Math.round(value) : value;
+    }
+    case 'string':
+      return randomHex(8, random);
+    case 'null':
+      return null;
+    case 'array': {
+      const min = schema.minItems || 0;
+      const max = typeof schema.maxItems === 'number' ?
+        schema.maxItems :
+        min + 5;
+      const length = min + Math.floor(random() * (max - min + 1));
+
+      const value = [];
+      for (let i = 0; i < length; i++) {
+        value.push(randomValue(schema.items, random));
+      }
+
+      return value;
+    }
+    case 'object': {
+      const value = {};
+      for (const [name, prop] of Object.entries(schema.properties || {})) {
+        value[name] = randomValue(prop, random);
+      }
+
+      return value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Bring a number within the range of a schema.
+ *
+ * @param {number} value
+ * @param {Object} schema
+ * @return {number} the constrained value.
+ */
+function constrainNumber(value, schema) {
+  if (typeof schema.minimum === 'number') {
+    value = Math.max(value, schema.minimum);
+  }
+
+  if (typeof schema.maximum === 'number') {
+    value = Math.min(value, schema.maximum);
+  }
+
+  if (typeof schema.multipleOf === 'number') {
+    value = Math.round(value / schema.multipleOf) * schema.multipleOf;
+    value = parseFloat(value.toFixed(10));
+  }
+
+  if (schema.type === 'integer') {
+    value = Math.round(value);
+  }
+
+  return value;
+}
+
+/**
+ * Convert a value, e.g. a string read from a file, to the type of a schema.
+ *
+ * @param {Object} schema
+ * @param {any} value
+ * @return {any} the converted value.
+ */
+function coerce(schema, value) {
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value === 'string') {
+        return ['true', '1', 'on', 'yes'].includes(value.toLowerCase());
+      }
+
+      return !!value;
+    case 'integer':
+    case 'number': {
+      // Number() would turn an empty string into 0
+      if (typeof value === 'string' && value.trim() === '') {
+        return NaN;
+      }
+
+      const number = Number(value);
+      return schema.type === 'integer' ? Math.round(number) : number;
+    }
+    case 'string':
+      return `${value}`;
+    case 'null':
+      return null;
+    case 'object':
+    case 'array':
+      if (typeof value === 'string') {
+        return JSON.parse(value);
+      }
+
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * @param {any} value
+ * @return {String} the JSON schema type of a value.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  if (typeof value === 'number') {
+    if (!isFinite(value)) {
+      // NaN and the infinities have no JSON representation
+      return 'undefined';
+    }
+
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+
+  return typeof value;
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @return {boolean} whether two JSON values are equal, regardless of the
+ *                   order of the members of objects.
+ */
+function equal(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (
+    a === null || b === null ||
+    typeof a !== 'object' || typeof b !== 'object' ||
+    Array.isArray(a) !== Array.isArray(b)
+  ) {
+    return false;
+  }
+
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => equal(item, b[i]));
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every((key) => b.hasOwnProperty(key) && equal(a[key], b[key]));
+}
+
+/**
+ * Check a value against a schema.
+ *
+ * This supports the keywords used by thing descriptions: type, enum, minimum,
+ * maximum, multipleOf, minLength, maxLength, pattern, properties, required,
+ * additionalProperties, items, minItems and maxItems.
+ *
+ * @param {Object} schema
+ * @param {any} value
+ * @param {String} name - How to refer to the value in errors
+ * @return {String[]} the problems found, if any.
+ */
+function validate(schema, value, name = 'value') {
+  if (!schema) {
+    return [];
+  }
+
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some((t) => {
+      return t === type || (t === 'number' && type === 'integer');
+    });
+
+    if (!matches) {
+      return [`${name} should be of type ${types.join(' or ')}`];
+    }
+  }
+
+  if (
+    Array.isArray(schema.enum) &&
+    schema.enum.length > 0 &&
+    !schema.enum.some((e) => equal(e, value))
+  ) {
+    return [
+      `${name} should be one of ${schema.enum.map((e) => JSON.stringify(e))
+        .join(', ')}`,
+    ];
+  }
+
+  const errors = [];
+
+  if (type === 'number' || type === 'integer') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${name} should be at least ${schema.minimum}`);
+    }
+
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push(`${name} should be at most ${schema.maximum}`);
+    }
+
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      // allow for floating point rounding errors
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push(`${name} should be a multiple of ${schema.multipleOf}`);
+      }
+    }
+  }
+
+  if (type === 'string') {
+    if (
+      typeof schema.minLength === 'number' &&
+      value.length < schema.minLength
+    ) {
+      errors.push(
+        `${name} should be at least ${schema.minLength} characters long`
+      );
+    }
+
+    if (
+      typeof schema.maxLength === 'number' &&
+      value.length > schema.maxLength
+    ) {
+      errors.push(
+        `${name} should be at most ${schema.maxLength} characters long`
+      );
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${name} should match ${schema.pattern}`);
+    }
+  }
+
+  if (type === 'object') {
+    for (const required of schema.required || []) {
+      if (!value.hasOwnProperty(required)) {
+        errors.push(`${name}.${required} is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, member] of Object.entries(value)) {
+      if (properties.hasOwnProperty(key)) {
+        errors.push(...validate(properties[key], member, `${name}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${name}.${key} is not allowed`);
+      }
+    }
+  }
+
+  if (type === 'array') {
+    if (
+      typeof schema.minItems === 'number' &&
+      value.length < schema.minItems
+    ) {
+      errors.push(`${name} should have at least ${schema.minItems} items`);
+    }
+
+    if (
+      typeof schema.maxItems === 'number' &&
+      value.length > schema.maxItems
+    ) {
+      errors.push(`${name} should have at most ${schema.maxItems} items`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, `${name}[${i}]`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  STRUCTURE_KEYWORDS,
+  coerce,
+  constrainNumber,
+  equal,
+  randomValue,
+  validate,
+};
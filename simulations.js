@@ -0,0 +1,936 @@
+/**
+ * simulations.js - Models which drive the properties of virtual things
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Event} = require('gateway-addon');
+
+/**
+ * Base class for simulations.
+ *
+ * A simulation is attached to a device through the `simulation` member of its
+ * template, and is configured through the adapter option of the same name.
+ * Properties listed in `drives` are computed by the simulation, so they are
+ * never randomized.
+ */
+class Simulation {
+  /**
+   * @param {VirtualThingsDevice} device - The device to drive
+   * @param {Object} options - Options from the adapter config
+   */
+  constructor(device, options) {
+    this.device = device;
+    this.options = Object.assign({}, this.constructor.defaults, options);
+  }
+
+  /**
+   * Start the simulation, once all properties of the device exist.
+   */
+  start() {
+    for (const name of this.constructor.drives) {
+      const property = this.device.findProperty(name);
+      if (property) {
+        property.stopRandomizing();
+      }
+    }
+
+    if (this.options.interval > 0) {
+      this.lastTick = this.now();
+      this.interval = this.device.adapter.clock.setInterval(() => {
+        const now = this.now();
+        this.tick((now - this.lastTick) / 1000);
+        this.lastTick = now;
+      }, this.options.interval * 1000);
+    }
+  }
+
+  /**
+   * Stop the simulation.
+   */
+  stop() {
+    if (this.interval) {
+      this.device.adapter.clock.clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * @return {number} the time of the adapter's virtual clock, in
+   *                  milliseconds.
+   */
+  now() {
+    return this.device.adapter.clock.now();
+  }
+
+  /**
+   * Advance the simulation.
+   *
+   * @param {number} _elapsed - Seconds since the previous tick
+   */
+  tick(_elapsed) {
+  }
+
+  /**
+   * Called whenever a property of the device was set.
+   *
+   * @param {VirtualThingsProperty} _property
+   */
+  handlePropertyChanged(_property) {
+  }
+
+  /**
+   * Called whenever the value of a property of any thing changed, including
+   * changes made by simulations.
+   *
+   * @param {VirtualThingsDevice} _device
+   * @param {VirtualThingsProperty} _property
+   * @param {any} _previous - The value before the change
+   */
+  handleThingChanged(_device, _property, _previous) {
+  }
+
+  /**
+   * Called for every action requested on the device, after it was started.
+   *
+   * @param {Action} _action
+   * @return {Promise?} a promise which resolves once the action was handled,
+   *                    or null to fall back to the device's own handling.
+   */
+  performAction(_action) {
+    return null;
+  }
+
+  /**
+   * Get the current value of a property of the device.
+   *
+   * @param {String} name
+   * @return {any}
+   */
+  get(name) {
+    const property = this.device.findProperty(name);
+    return property ? property.value : null;
+  }
+
+  /**
+   * Set a property of the device, notifying the gateway if it changed.
+   *
+   * @param {String} name
+   * @param {any} value
+   */
+  set(name, value) {
+    const property = this.device.findProperty(name);
+    if (property) {
+      property.setCachedValueAndNotify(value);
+    }
+  }
+
+  /**
+   * Update the choices of a property, and of the input of an action which
+   * sets it, in place. The gateway picks them up the next time it loads the
+   * thing description.
+   *
+   * @param {String} name - Name of the property and of the input field
+   * @param {String} actionName - Name of the action
+   * @param {String[]} choices - Any value is allowed if empty
+   */
+  setChoices(name, actionName, choices) {
+    const property = this.device.findProperty(name);
+    const descriptions = [
+      property,
+      // what writes are validated against
+      property.descr,
+      this.device.actions.get(actionName).input.properties[name],
+    ];
+
+    for (const description of descriptions) {
+      if (choices.length > 0) {
+        description.enum = choices;
+      } else {
+        delete description.enum;
+      }
+    }
+  }
+}
+
+Simulation.drives = [];
+
+/**
+ * A room heated or cooled by a thermostat.
+ *
+ * While heating or cooling, the temperature moves toward the active target
+ * at `rate` degrees per minute. Otherwise, it drifts toward the ambient
+ * temperature at `ambientRate` degrees per minute. Heating and cooling stop
+ * when their target is reached, and only start again once the temperature is
+ * `hysteresis` degrees away from it.
+ */
+class ThermostatSimulation extends Simulation {
+  start() {
+    this.update();
+    super.start();
+  }
+
+  tick(elapsed) {
+    const minutes = elapsed / 60;
+    const temperature = this.get('temperature');
+
+    let target, rate;
+    switch (this.get('heatingCooling')) {
+      case 'heating':
+        target = this.get('heatingTargetTemperature');
+        rate = this.options.rate;
+        break;
+      case 'cooling':
+        target = this.get('coolingTargetTemperature');
+        rate = this.options.rate;
+        break;
+      default:
+        target = this.options.ambientTemperature;
+        rate = this.options.ambientRate;
+        break;
+    }
+
+    const step = Math.min(Math.abs(target - temperature), rate * minutes);
+    const value = temperature + Math.sign(target - temperature) * step;
+    this.set('temperature', Math.round(value * 100) / 100);
+
+    this.update();
+  }
+
+  handlePropertyChanged(property) {
+    if ([
+      'thermostatMode',
+      'heatingTargetTemperature',
+      'coolingTargetTemperature',
+    ].includes(property.name)) {
+      this.update();
+    }
+  }
+
+  /**
+   * Switch heating/cooling on or off, according to the mode, targets and
+   * current temperature.
+   */
+  update() {
+    const mode = this.get('thermostatMode');
+    const temperature = this.get('temperature');
+    const heatingTarget = this.get('heatingTargetTemperature');
+    const coolingTarget = this.get('coolingTargetTemperature');
+    const hysteresis = this.options.hysteresis;
+
+    const canHeat = mode === 'heat' || mode === 'auto';
+    const canCool = mode === 'cool' || mode === 'auto';
+    let state = this.get('heatingCooling');
+
+    if (state === 'heating' && (!canHeat || temperature >= heatingTarget)) {
+      state = 'off';
+    } else if (
+      state === 'cooling' &&
+      (!canCool || temperature <= coolingTarget)
+    ) {
+      state = 'off';
+    }
+
+    if (state === 'off') {
+      if (canHeat && temperature <= heatingTarget - hysteresis) {
+        state = 'heating';
+      } else if (canCool && temperature >= coolingTarget + hysteresis) {
+        state = 'cooling';
+      }
+    }
+
+    this.set('heatingCooling', state);
+  }
+}
+
+ThermostatSimulation.drives = ['temperature', 'heatingCooling'];
+
+ThermostatSimulation.defaults = {
+  interval: 10,
+  rate: 0.5,
+  hysteresis: 0.5,
+  ambientTemperature: 15,
+  ambientRate: 0.1,
+};
+
+/**
+ * An electrical load measured by an energy monitor.
+ *
+ * Power, current and power factor are derived from the load, so that
+ * power = voltage * current * power factor, and the energy counter integrates
+ * power over time. Voltage and frequency are those of the mains, so they are
+ * present even when there is no load, as long as the monitor is powered.
+ */
+class EnergyMonitorSimulation extends Simulation {
+  start() {
+    this.lastMeasured = this.now();
+    this.power = this.get('instantaneousPower') || 0;
+    this.update();
+    super.start();
+  }
+
+  tick() {
+    this.measure();
+  }
+
+  handlePropertyChanged(property) {
+    // setting the power from outside, e.g. through a link, changes the load
+    if (property.name === 'instantaneousPower') {
+      this.options.load = Math.max(property.value || 0, 0);
+      this.update();
+    }
+  }
+
+  /**
+   * Add the energy used since the last measurement, at the power drawn since
+   * then.
+   */
+  measure() {
+    const now = this.now();
+    const hours = (now - this.lastMeasured) / 1000 / 3600;
+    this.lastMeasured = now;
+
+    const power = this.power;
+    const energy = (this.get('energy') || 0) + power * hours / 1000;
+    this.set('energy', Math.round(energy * 1e6) / 1e6);
+  }
+
+  /**
+   * @return {number} the power drawn by the load, in watts.
+   */
+  load() {
+    return this.options.load;
+  }
+
+  /**
+   * @return {boolean} whether the mains reach the load, i.e. whether there is
+   *                   any voltage to measure.
+   */
+  isPowered() {
+    return true;
+  }
+
+  /**
+   * Recompute the electrical properties from the load.
+   */
+  update() {
+    this.measure();
+
+    const powered = this.isPowered();
+    const power = powered ? Math.max(this.load(), 0) : 0;
+    this.power = power;
+    const voltage = powered ? this.options.voltage : 0;
+    const powerFactor = power > 0 ? this.options.powerFactor : 0;
+    const apparentVoltage = voltage * powerFactor;
+    const current = apparentVoltage > 0 ? power / apparentVoltage : 0;
+
+    this.set('voltage', voltage);
+    this.set('frequency', powered ? this.options.frequency : 0);
+    this.set('instantaneousPowerFactor', powerFactor);
+    this.set('instantaneousPower', Math.round(power * 100) / 100);
+    this.set('current', Math.round(current * 1000) / 1000);
+  }
+}
+
+EnergyMonitorSimulation.drives = [
+  'instantaneousPower',
+  'instantaneousPowerFactor',
+  'voltage',
+  'current',
+  'frequency',
+  'energy',
+];
+
+EnergyMonitorSimulation.defaults = {
+  interval: 10,
+  load: 100,
+  voltage: 230,
+  powerFactor: 0.95,
+  frequency: 50,
+};
+
+/**
+ * A smart plug powering an electrical load.
+ *
+ * The load is only drawn while the plug is on, and scales with its level.
+ * While the plug is off, all of its readings are zero.
+ */
+class SmartPlugSimulation extends EnergyMonitorSimulation {
+  load() {
+    return this.options.load * this.get('level') / 100;
+  }
+
+  isPowered() {
+    return !!this.get('on');
+  }
+
+  handlePropertyChanged(property) {
+    if (['on', 'level'].includes(property.name)) {
+      this.update();
+    }
+  }
+}
+
+SmartPlugSimulation.defaults = Object.assign(
+  {},
+  EnergyMonitorSimulation.defaults,
+  {load: 60}
+);
+
+/**
+ * A motorized lock.
+ *
+ * Locking and unlocking take `transitionTime` seconds, during which the state
+ * is unknown, and jam with a probability of `jamProbability`. A jammed lock
+ * stays jammed until the jam is cleared, which leaves it unlocked. If
+ * `autoRelock` is set, the lock locks itself again that many seconds after it
+ * was unlocked. The keypad only unlocks with the right `code`. A movement
+ * which was interrupted by a restart leaves the state unknown, until the lock
+ * is locked or unlocked again.
+ *
+ * Locking or unlocking by hand, and setting the state from outside, e.g.
+ * through the control API, count as using the key, and are reported with a
+ * manual lock or unlock event.
+ */
+class LockSimulation extends Simulation {
+  start() {
+    this.pending = null;
+    this.relockTimer = null;
+
+    if (this.get('locked') === 'unlocked') {
+      this.scheduleRelock();
+    }
+
+    super.start();
+  }
+
+  stop() {
+    this.cancel();
+    this.cancelRelock();
+    super.stop();
+  }
+
+  performAction(action) {
+    switch (action.name) {
+      case 'lock':
+        this.move('locked', action);
+        break;
+      case 'unlock':
+        this.move('unlocked', action);
+        break;
+      case 'unlockWithCode':
+        if (`${(action.input || {}).code}` !== `${this.options.code}`) {
+          this.device.eventNotify(new Event(this.device, 'codeRejected'));
+          this.device.failAction(action, 'Wrong code');
+          break;
+        }
+
+        this.move('unlocked', action);
+        break;
+      case 'clearJam':
+        if (this.get('locked') !== 'jammed') {
+          action.finish();
+          break;
+        }
+
+        this.move('unlocked', action, false);
+        break;
+      case 'lockManually':
+      case 'unlockManually': {
+        const state = action.name === 'lockManually' ? 'locked' : 'unlocked';
+        this.set('locked', state);
+        this.handleManual(state);
+        action.finish();
+        break;
+      }
+      default:
+        return null;
+    }
+
+    return Promise.resolve();
+  }
+
+  handlePropertyChanged(property) {
+    if (property.name === 'locked') {
+      this.handleManual(property.value);
+    }
+  }
+
+  /**
+   * React to the lock being locked or unlocked by hand, which takes effect
+   * right away.
+   *
+   * @param {String} state - The new state
+   */
+  handleManual(state) {
+    this.cancel();
+    this.cancelRelock();
+
+    switch (state) {
+      case 'locked':
+        this.device.eventNotify(new Event(this.device, 'manualLock'));
+        break;
+      case 'unlocked':
+        this.device.eventNotify(new Event(this.device, 'manualUnlock'));
+        this.scheduleRelock();
+        break;
+    }
+  }
+
+  /**
+   * Drive the locking mechanism toward a state.
+   *
+   * @param {String} target - 'locked' or 'unlocked'
+   * @param {Action?} action - Action to finish once the state is reached
+   * @param {boolean} canJam - Whether the mechanism may jam on the way
+   */
+  move(target, action, canJam = true) {
+    this.cancel();
+
+    if (this.get('locked') === target) {
+      if (action) {
+        action.finish();
+      }
+
+      return;
+    }
+
+    this.cancelRelock();
+    this.set('locked', 'unknown');
+
+    const clock = this.device.adapter.clock;
+    const timer = clock.setTimeout(() => {
+      this.pending = null;
+
+      if (canJam && this.device.random() < this.options.jamProbability) {
+        this.set('locked', 'jammed');
+        this.device.eventNotify(new Event(this.device, 'jammed'));
+      } else {
+        this.set('locked', target);
+        if (target === 'unlocked') {
+          this.scheduleRelock();
+        }
+      }
+
+      if (action) {
+        action.finish();
+      }
+    }, this.options.transitionTime * 1000);
+
+    this.pending = {timer, action};
+  }
+
+  /**
+   * Abandon the current movement, if any, e.g. when a new one starts.
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+
+    this.device.adapter.clock.clearTimeout(this.pending.timer);
+    if (this.pending.action) {
+      this.pending.action.finish();
+    }
+
+    this.pending = null;
+  }
+
+  scheduleRelock() {
+    this.cancelRelock();
+
+    if (!(this.options.autoRelock > 0)) {
+      return;
+    }
+
+    this.relockTimer = this.device.adapter.clock.setTimeout(() => {
+      this.relockTimer = null;
+      this.move('locked', null);
+    }, this.options.autoRelock * 1000);
+  }
+
+  cancelRelock() {
+    if (this.relockTimer) {
+      this.device.adapter.clock.clearTimeout(this.relockTimer);
+      this.relockTimer = null;
+    }
+  }
+}
+
+LockSimulation.drives = ['locked'];
+
+LockSimulation.defaults = {
+  transitionTime: 2,
+  jamProbability: 0.05,
+  autoRelock: 0,
+  code: '1234',
+};
+
+/**
+ * A security panel.
+ *
+ * Arming away or at home, and disarming, take the `pin`. Once armed, after
+ * `exitDelay` seconds, a linked sensor which becomes active starts the entry
+ * delay, after which the siren sounds unless the alarm was disarmed. Instant
+ * sensors skip the entry delay, and some sensors are only watched while armed
+ * away. The siren stops after `sirenTimeout` seconds, or when silenced, and
+ * the alarm stays armed.
+ */
+class AlarmSimulation extends Simulation {
+  start() {
+    this.timer = null;
+    this.sirenTimer = null;
+
+    // delays don't survive a restart
+    this.set('alarm', false);
+    this.set('state', this.get('mode') === 'disarmed' ? 'disarmed' : 'armed');
+
+    super.start();
+  }
+
+  stop() {
+    this.cancel();
+    this.stopSiren();
+    super.stop();
+  }
+
+  performAction(action) {
+    switch (action.name) {
+      case 'armAway':
+      case 'armHome':
+      case 'disarm':
+        if (`${(action.input || {}).pin}` !== `${this.options.pin}`) {
+          this.device.failAction(action, 'Wrong PIN');
+          return Promise.resolve();
+        }
+
+        if (action.name === 'disarm') {
+          this.disarm();
+        } else {
+          this.arm(action.name === 'armAway' ? 'armedAway' : 'armedHome');
+        }
+
+        break;
+      case 'trigger':
+        this.trigger('panic');
+        break;
+      case 'silence':
+        this.silence('silenced');
+        break;
+      default:
+        return null;
+    }
+
+    action.finish();
+    return Promise.resolve();
+  }
+
+  handlePropertyChanged(property) {
+    if (property.name !== 'alarm') {
+      return;
+    }
+
+    // the siren was switched from outside
+    if (property.value) {
+      this.trigger('manual');
+    } else {
+      this.silence('silenced');
+    }
+  }
+
+  handleThingChanged(device, property, previous) {
+    if (!property.value || previous) {
+      return;
+    }
+
+    // only things which were added count, so that restored values don't
+    // trip the alarm
+    const sensor = this.sensors().find((s) => {
+      return s.property === property.name &&
+        this.device.adapter.findDevice(s.thing) === device;
+    });
+
+    if (sensor) {
+      this.trip(sensor, device);
+    }
+  }
+
+  /**
+   * @return {Object[]} the linked sensors.
+   */
+  sensors() {
+    const sensors = this.options.sensors;
+    if (Array.isArray(sensors) && sensors.length > 0) {
+      return sensors;
+    }
+
+    return AlarmSimulation.defaults.sensors;
+  }
+
+  /**
+   * @param {String} mode - 'armedAway' or 'armedHome'
+   */
+  arm(mode) {
+    this.cancel();
+    this.stopSiren();
+    this.set('mode', mode);
+
+    if (this.options.exitDelay > 0) {
+      this.set('state', 'exitDelay');
+      this.timer = this.device.adapter.clock.setTimeout(() => {
+        this.timer = null;
+        this.armed();
+      }, this.options.exitDelay * 1000);
+    } else {
+      this.armed();
+    }
+  }
+
+  armed() {
+    this.set('state', 'armed');
+    this.device.eventNotify(new Event(this.device, 'armed', this.get('mode')));
+  }
+
+  disarm() {
+    this.cancel();
+    this.silence('disarmed');
+    this.set('mode', 'disarmed');
+    this.set('state', 'disarmed');
+    this.device.eventNotify(new Event(this.device, 'disarmed'));
+  }
+
+  /**
+   * A linked sensor became active.
+   *
+   * @param {Object} sensor - The sensor's config
+   * @param {VirtualThingsDevice} device
+   */
+  trip(sensor, device) {
+    const state = this.get('state');
+    if (state !== 'armed' && state !== 'entryDelay') {
+      return;
+    }
+
+    if (this.get('mode') === 'armedHome' && !sensor.armedHome) {
+      return;
+    }
+
+    if (sensor.instant || !(this.options.entryDelay > 0)) {
+      this.trigger(device.name);
+      return;
+    }
+
+    if (state === 'entryDelay') {
+      return;
+    }
+
+    this.set('state', 'entryDelay');
+    this.timer = this.device.adapter.clock.setTimeout(() => {
+      this.timer = null;
+      this.trigger(device.name);
+    }, this.options.entryDelay * 1000);
+  }
+
+  /**
+   * Sound the siren.
+   *
+   * @param {String} cause - What triggered the alarm
+   */
+  trigger(cause) {
+    this.cancel();
+    this.stopSiren();
+
+    this.set('state', 'triggered');
+    this.set('alarm', true);
+    this.device.eventNotify(new Event(this.device, 'triggered', cause));
+    this.device.eventNotify(new Event(this.device, 'alarmEvent', cause));
+
+    if (this.options.sirenTimeout > 0) {
+      this.sirenTimer = this.device.adapter.clock.setTimeout(() => {
+        this.sirenTimer = null;
+        this.silence('timeout');
+      }, this.options.sirenTimeout * 1000);
+    }
+  }
+
+  /**
+   * Stop the siren, if it sounds, and return to the armed or disarmed state.
+   *
+   * @param {String} reason - Why the siren stopped
+   */
+  silence(reason) {
+    this.stopSiren();
+
+    if (this.get('state') !== 'triggered') {
+      return;
+    }
+
+    this.set('alarm', false);
+    this.set('state', this.get('mode') === 'disarmed' ? 'disarmed' : 'armed');
+    this.device.eventNotify(new Event(this.device, 'cleared', reason));
+  }
+
+  /**
+   * Abandon the running exit or entry delay, if any.
+   */
+  cancel() {
+    if (this.timer) {
+      this.device.adapter.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  stopSiren() {
+    if (this.sirenTimer) {
+      this.device.adapter.clock.clearTimeout(this.sirenTimer);
+      this.sirenTimer = null;
+    }
+  }
+}
+
+AlarmSimulation.drives = ['alarm', 'mode', 'state'];
+
+AlarmSimulation.defaults = {
+  pin: '1234',
+  exitDelay: 30,
+  entryDelay: 30,
+  sirenTimeout: 180,
+  sensors: [
+    {
+      thing: 'virtual-things-doorSensor',
+      property: 'open',
+      armedHome: true,
+    },
+    {
+      thing: 'virtual-things-motionSensor',
+      property: 'motion',
+      armedHome: false,
+    },
+  ],
+};
+
+/**
+ * Controls for the adapter's scenario runner.
+ */
+class ScenarioRunnerSimulation extends Simulation {
+  start() {
+    this.runner = this.device.adapter.scenarios;
+    this.listener = (state, name) => {
+      const events = {
+        started: 'scenarioStarted',
+        finished: 'scenarioFinished',
+        stopped: 'scenarioStopped',
+      };
+
+      this.set('running', this.runner.isRunning());
+      this.device.eventNotify(new Event(this.device, events[state], name));
+    };
+    this.runner.onChange(this.listener);
+
+    super.start();
+
+    if (this.options.autoStart) {
+      try {
+        this.runner.start(this.options.autoStart, this.get('loop'));
+      } catch (e) {
+        console.error('Failed to start scenario:', e.message);
+      }
+    }
+  }
+
+  stop() {
+    this.runner.stop();
+    this.runner.offChange(this.listener);
+    super.stop();
+  }
+
+  performAction(action) {
+    switch (action.name) {
+      case 'start': {
+        const input = action.input || {};
+        const name = input.scenario || this.get('scenario');
+        const loop = input.hasOwnProperty('loop') ?
+          input.loop :
+          this.get('loop');
+
+        try {
+          this.runner.start(name, loop);
+        } catch (e) {
+          this.device.failAction(action, e.message);
+          return Promise.resolve();
+        }
+
+        break;
+      }
+      case 'stop':
+        this.runner.stop();
+        break;
+      case 'reload':
+        this.setChoices('scenario', 'start', this.runner.load());
+        break;
+      default:
+        return null;
+    }
+
+    action.finish();
+    return Promise.resolve();
+  }
+}
+
+ScenarioRunnerSimulation.drives = ['scenario', 'running', 'loop'];
+
+ScenarioRunnerSimulation.defaults = {
+  autoStart: '',
+};
+
+/**
+ * Exports and imports bundles through the actions of the bundle manager.
+ */
+class BundleManagerSimulation extends Simulation {
+  performAction(action) {
+    const bundles = this.device.adapter.bundles;
+    const input = action.input || {};
+    let name, promise, event;
+
+    switch (action.name) {
+      case 'export':
+        name = input.name;
+        event = 'bundleExported';
+        promise = bundles.export(name).then(() => {
+          this.setChoices('bundle', 'import', bundles.names());
+          this.set('bundle', name);
+        });
+        break;
+      case 'import':
+        name = input.bundle || this.get('bundle');
+        event = 'bundleImported';
+        promise = bundles.import(name);
+        break;
+      default:
+        return null;
+    }
+
+    return promise.then(() => {
+      this.device.eventNotify(new Event(this.device, event, name));
+      action.finish();
+    }).catch((e) => {
+      this.device.failAction(action, e.message);
+    });
+  }
+}
+
+BundleManagerSimulation.drives = ['bundle'];
+
+module.exports = {
+  alarm: AlarmSimulation,
+  bundleManager: BundleManagerSimulation,
+  energyMonitor: EnergyMonitorSimulation,
+  lock: LockSimulation,
+  scenarioRunner: ScenarioRunnerSimulation,
+  smartPlug: SmartPlugSimulation,
+  thermostat: ThermostatSimulation,
+};
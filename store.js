@@ -0,0 +1,352 @@
+/**
+ * store.js - Persisted property values
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  STRUCTURE_KEYWORDS,
+  coerce,
+  constrainNumber,
+  validate,
+} = require('./schema');
+const storage = require('node-persist');
+
+/**
+ * Version of the records. Version 1 was the bare value, stored under
+ * `<device ID>-<property>` in the data directory itself.
+ */
+const STORE_VERSION = 2;
+
+/**
+ * Keywords of the property metadata which decide whether a value fits.
+ */
+const SCHEMA_KEYWORDS = [
+  'type',
+  'enum',
+  'minimum',
+  'maximum',
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'pattern',
+].concat(STRUCTURE_KEYWORDS);
+
+/**
+ * @param {Object} descr - Property metadata
+ * @return {Object} the parts of the metadata which constrain the value.
+ */
+function schemaOf(descr) {
+  const schema = {};
+  for (const keyword of SCHEMA_KEYWORDS) {
+    if (descr.hasOwnProperty(keyword)) {
+      schema[keyword] = descr[keyword];
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Make a value fit a property, e.g. after the property's type or range
+ * changed.
+ *
+ * @param {Object} descr - Property metadata
+ * @param {any} value
+ * @return {any} the value, converted if needed, or undefined if it can't be
+ *               made to fit.
+ */
+function fit(descr, value) {
+  if (validate(descr, value).length === 0) {
+    return value;
+  }
+
+  let converted;
+  try {
+    converted = coerce(descr, value);
+  } catch (e) {
+    return;
+  }
+
+  if (typeof converted === 'number') {
+    if (isNaN(converted)) {
+      return;
+    }
+
+    converted = constrainNumber(converted, descr);
+  }
+
+  if (validate(descr, converted).length > 0) {
+    return;
+  }
+
+  return converted;
+}
+
+/**
+ * Persisted property values.
+ *
+ * Each value is stored along with the metadata it was valid for, so that
+ * values which no longer fit after a property changed are converted or
+ * discarded, rather than restored blindly. Values stored by older versions
+ * are migrated as they are loaded.
+ */
+class PropertyStore {
+  /**
+   * @param {String} dir - Folder of the records
+   * @param {String} legacyDir - Folder holding version 1 values
+   */
+  constructor(dir, legacyDir) {
+    this.dir = dir;
+    this.legacyDir = legacyDir;
+    this.legacy = new Map();
+    this.storage = storage.create({
+      dir,
+      forgiveParseErrors: true,
+    });
+  }
+
+  init() {
+    return this.storage.init().then(() => this.loadLegacy());
+  }
+
+  /**
+   * Index the version 1 values. node-persist names its files after the MD5
+   * hash of the key, and can't read a folder holding anything else.
+   */
+  loadLegacy() {
+    if (!fs.existsSync(this.legacyDir)) {
+      return;
+    }
+
+    for (const name of fs.readdirSync(this.legacyDir)) {
+      if (!/^[0-9a-f]{32}$/.test(name)) {
+        continue;
+      }
+
+      const file = path.join(this.legacyDir, name);
+      try {
+        const datum = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (datum && typeof datum.key === 'string') {
+          this.legacy.set(datum.key, {file, value: datum.value});
+        }
+      } catch (e) {
+        console.error(`Ignoring unreadable value file ${file}:`, e.message);
+      }
+    }
+  }
+
+  /**
+   * Delete a version 1 value, once it was migrated or is no longer needed.
+   *
+   * @param {String} key
+   */
+  dropLegacy(key) {
+    const entry = this.legacy.get(key);
+    if (!entry) {
+      return;
+    }
+
+    this.legacy.delete(key);
+    try {
+      fs.unlinkSync(entry.file);
+    } catch (e) {
+      console.error(`Failed to delete ${entry.file}:`, e.message);
+    }
+  }
+
+  /**
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @return {String} the key of a record.
+   */
+  key(deviceId, name) {
+    return `${deviceId}/${name}`;
+  }
+
+  /**
+   * Read a record, falling back to a version 1 value.
+   *
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @return {Promise} a promise which resolves to {value, schema}, or
+   *                   undefined if nothing was stored.
+   */
+  read(deviceId, name) {
+    return this.storage.getItem(this.key(deviceId, name)).then((record) => {
+      if (record && record.version === STORE_VERSION) {
+        return {value: record.value, schema: record.schema};
+      }
+
+      const legacy = this.legacy.get(`${deviceId}-${name}`);
+      if (legacy && legacy.value !== null) {
+        return {value: legacy.value, schema: null};
+      }
+    });
+  }
+
+  /**
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @return {Promise} a promise which resolves to the stored value, as is, or
+   *                   undefined if there is none.
+   */
+  get(deviceId, name) {
+    return this.read(deviceId, name).then((record) => record && record.value);
+  }
+
+  /**
+   * Load the stored value of a property, made to fit its current metadata.
+   *
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @param {Object} descr - Property metadata
+   * @return {Promise} a promise which resolves to the value, or undefined if
+   *                   there is none which fits.
+   */
+  load(deviceId, name, descr) {
+    return this.read(deviceId, name).then((record) => {
+      if (!record) {
+        return;
+      }
+
+      const schema = schemaOf(descr);
+      if (JSON.stringify(record.schema) === JSON.stringify(schema)) {
+        return record.value;
+      }
+
+      const value = fit(descr, record.value);
+      let done;
+      if (typeof value === 'undefined') {
+        console.log(`Discarding stored value of ${deviceId} ${name}:`,
+                    record.value);
+        done = this.remove(deviceId, name);
+      } else {
+        done = this.save(deviceId, name, descr, value);
+      }
+
+      return done.then(() => {
+        this.dropLegacy(`${deviceId}-${name}`);
+        return value;
+      });
+    });
+  }
+
+  /**
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @param {Object?} descr - Property metadata, or null if unknown
+   * @param {any} value
+   * @return {Promise} a promise which resolves once the value was stored.
+   */
+  save(deviceId, name, descr, value) {
+    return this.storage.setItem(this.key(deviceId, name), {
+      version: STORE_VERSION,
+      device: deviceId,
+      property: name,
+      schema: descr ? schemaOf(descr) : null,
+      value,
+    });
+  }
+
+  /**
+   * @param {String} deviceId
+   * @param {String} name - Name of the property
+   * @return {Promise} a promise which resolves once the value was removed.
+   */
+  remove(deviceId, name) {
+    return this.storage.removeItem(this.key(deviceId, name));
+  }
+
+  /**
+   * Move the values of devices whose ID changed.
+   *
+   * @param {Object} ids - New IDs, by old ID
+   * @return {Promise} a promise which resolves to the number of values which
+   *                   were moved.
+   */
+  renameDevices(ids) {
+    let moved = 0;
+    for (const [key, entry] of Array.from(this.legacy.entries())) {
+      const match = Object.keys(ids).find((id) => key.startsWith(`${id}-`));
+      if (match) {
+        moved++;
+        this.legacy.delete(key);
+        this.legacy.set(`${ids[match]}${key.substring(match.length)}`, entry);
+      }
+    }
+
+    const records = [];
+    return this.storage.forEach(({key, value}) => {
+      if (value && ids.hasOwnProperty(value.device)) {
+        records.push({key, value});
+      }
+    }).then(() => {
+      return Promise.all(records.map(({key, value}) => {
+        const record = Object.assign({}, value, {device: ids[value.device]});
+        return this.storage.setItem(this.key(record.device, record.property),
+                                    record)
+          .then(() => this.storage.removeItem(key));
+      }));
+    }).then(() => moved + records.length);
+  }
+
+  /**
+   * Remove the values of properties which no longer exist, and of things
+   * which were removed. Values of other things which weren't loaded, e.g.
+   * because they are excluded for now, are kept.
+   *
+   * @param {Object} devices - The current devices, by ID
+   * @param {function} removed - Tells whether a device ID belongs to a thing
+   *                             which was removed
+   * @return {Promise} a promise which resolves once the values were removed.
+   */
+  cleanup(devices, removed) {
+    for (const key of Array.from(this.legacy.keys())) {
+      const device = Object.values(devices).find((d) => {
+        return key.startsWith(`${d.id}-`);
+      });
+
+      const name = device ? key.substring(device.id.length + 1) : null;
+      if (device && !device.properties.has(name)) {
+        this.dropLegacy(key);
+      }
+    }
+
+    const stale = [];
+    return this.storage.forEach(({key, value}) => {
+      // files removed while they are being listed come back without a key
+      if (!key) {
+        return;
+      }
+
+      if (!value) {
+        stale.push(key);
+        return;
+      }
+
+      const device = devices[value.device];
+      if (device) {
+        if (!device.properties.has(value.property)) {
+          stale.push(key);
+        }
+      } else if (removed(value.device)) {
+        stale.push(key);
+      }
+    }).then(() => {
+      return Promise.all(stale.map((key) => this.storage.removeItem(key)));
+    });
+  }
+}
+
+module.exports = {
+  PropertyStore,
+  STORE_VERSION,
+  fit,
+};
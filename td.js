@@ -0,0 +1,160 @@
+/**
+ * td.js - Virtual things cloned from thing descriptions
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Members of interaction affordances which describe how to reach the real
+ * device, rather than the interaction itself.
+ */
+const PROTOCOL_KEYWORDS = [
+  'forms',
+  'links',
+  'href',
+  'observable',
+  'uriVariables',
+];
+
+/**
+ * @param {Object} affordance - Property, action or event from a description
+ * @return {Object} the affordance, without protocol details.
+ */
+function strip(affordance) {
+  const metadata = Object.assign({}, affordance);
+  for (const keyword of PROTOCOL_KEYWORDS) {
+    delete metadata[keyword];
+  }
+
+  return metadata;
+}
+
+/**
+ * Pick a sensible initial value for a property.
+ *
+ * @param {Object} metadata
+ * @return {any} the value.
+ */
+function initialValue(metadata) {
+  if (metadata.hasOwnProperty('const')) {
+    return metadata.const;
+  }
+
+  if (metadata.hasOwnProperty('default')) {
+    return metadata.default;
+  }
+
+  if (Array.isArray(metadata.enum) && metadata.enum.length > 0) {
+    return metadata.enum[0];
+  }
+
+  switch (metadata.type) {
+    case 'boolean':
+      return false;
+    case 'integer':
+    case 'number': {
+      let value = 0;
+      if (typeof metadata.minimum === 'number') {
+        value = Math.max(value, metadata.minimum);
+      }
+
+      if (typeof metadata.maximum === 'number') {
+        value = Math.min(value, metadata.maximum);
+      }
+
+      return value;
+    }
+    case 'object':
+      return {};
+    case 'array':
+      return [];
+    case 'null':
+      return null;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build the template of a virtual thing from a W3C WoT thing description, or
+ * from the description of a WebThings Gateway thing (`/things/<id>`).
+ *
+ * @param {Object} td - The thing description
+ * @return {Object} the template.
+ */
+function fromThingDescription(td) {
+  if (!td || typeof td !== 'object' || Array.isArray(td)) {
+    throw new Error('Thing description must be an object');
+  }
+
+  let type = td['@type'] || [];
+  if (!Array.isArray(type)) {
+    type = [type];
+  }
+
+  const template = {
+    type: 'thing',
+    '@context': typeof td['@context'] === 'string' ?
+      td['@context'] :
+      'https://webthings.io/schemas',
+    '@type': type,
+    name: td.title || td.name || 'Imported Thing',
+    properties: [],
+    actions: [],
+    events: [],
+  };
+
+  for (const [name, property] of Object.entries(td.properties || {})) {
+    const metadata = strip(property);
+    if (!metadata.type) {
+      metadata.type = 'string';
+    }
+
+    if (!metadata.title) {
+      metadata.title = name;
+    }
+
+    delete metadata.name;
+
+    template.properties.push({
+      name,
+      value: initialValue(metadata),
+      metadata,
+    });
+  }
+
+  for (const [name, action] of Object.entries(td.actions || {})) {
+    const metadata = strip(action);
+    if (!metadata.title) {
+      metadata.title = name;
+    }
+
+    delete metadata.name;
+    delete metadata.output;
+
+    template.actions.push({name, metadata});
+  }
+
+  for (const [name, event] of Object.entries(td.events || {})) {
+    // WoT descriptions nest the data schema, WebThings ones inline it.
+    const metadata = Object.assign({}, event.data, strip(event));
+    if (!metadata.title) {
+      metadata.title = name;
+    }
+
+    delete metadata.name;
+    delete metadata.data;
+
+    template.events.push({name, metadata});
+  }
+
+  return template;
+}
+
+module.exports = {
+  fromThingDescription,
+};
@@ -0,0 +1,128 @@
+/**
+ * traces.js - Recorded property traces
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Convert a timestamp to milliseconds.
+ *
+ * Numbers are seconds, unless they are too large to be, in which case they
+ * are milliseconds since the epoch. Strings are parsed as dates, unless they
+ * are numeric.
+ *
+ * @param {number|String} timestamp
+ * @return {number} the time, in milliseconds.
+ */
+function parseTimestamp(timestamp) {
+  if (typeof timestamp === 'string') {
+    if (timestamp.trim() !== '' && !isNaN(Number(timestamp))) {
+      timestamp = Number(timestamp);
+    } else {
+      const time = Date.parse(timestamp);
+      if (isNaN(time)) {
+        throw new Error(`Invalid timestamp: ${timestamp}`);
+      }
+
+      return time;
+    }
+  }
+
+  if (typeof timestamp !== 'number' || isNaN(timestamp)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+
+  return timestamp > 1e11 ? timestamp : timestamp * 1000;
+}
+
+/**
+ * Parse one line of a CSV trace: timestamp,property,value. The value may be
+ * quoted, and may contain commas.
+ *
+ * @param {String} line
+ * @return {Object?} the sample, or null for the header line.
+ */
+function parseCsvLine(line) {
+  const first = line.indexOf(',');
+  const second = line.indexOf(',', first + 1);
+  if (first < 0 || second < 0) {
+    throw new Error(`Invalid line: ${line}`);
+  }
+
+  const unquote = (s) => {
+    s = s.trim();
+    if (s.length >= 2 && s.startsWith('"') && s.endsWith('"')) {
+      return s.substring(1, s.length - 1).replace(/""/g, '"');
+    }
+
+    return s;
+  };
+
+  const timestamp = unquote(line.substring(0, first));
+  const property = unquote(line.substring(first + 1, second));
+  const value = unquote(line.substring(second + 1));
+
+  if (timestamp.toLowerCase() === 'timestamp') {
+    return null;
+  }
+
+  return {timestamp, property, value};
+}
+
+/**
+ * Load a trace, i.e. a list of property values over time.
+ *
+ * CSV traces have one `timestamp,property,value` sample per line, with an
+ * optional header line. JSON-lines traces have one
+ * `{"timestamp": ..., "property": ..., "value": ...}` object per line.
+ *
+ * @param {String} file - Path to a .csv, .jsonl or .ndjson file
+ * @return {Object[]} samples, as {offset, property, value}, sorted by their
+ *                    offset in milliseconds from the first one.
+ */
+function loadTrace(file) {
+  const csv = path.extname(file).toLowerCase() === '.csv';
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+  const samples = [];
+  for (const line of lines) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    const sample = csv ? parseCsvLine(line) : JSON.parse(line);
+    if (!sample) {
+      continue;
+    }
+
+    if (!sample.property) {
+      throw new Error(`Sample without property: ${line}`);
+    }
+
+    samples.push({
+      time: parseTimestamp(sample.timestamp),
+      property: `${sample.property}`,
+      value: sample.value,
+    });
+  }
+
+  samples.sort((a, b) => a.time - b.time);
+
+  const start = samples.length > 0 ? samples[0].time : 0;
+  return samples.map((sample) => ({
+    offset: sample.time - start,
+    property: sample.property,
+    value: sample.value,
+  }));
+}
+
+module.exports = {
+  loadTrace,
+};
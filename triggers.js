@@ -0,0 +1,129 @@
+/**
+ * triggers.js - Conditions which emit the events of custom things
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const {Event} = require('gateway-addon');
+const {fill, parseValue} = require('./effects');
+
+const TRIGGER_TYPES = [
+  'timer',
+  'threshold',
+  'value',
+];
+
+/**
+ * Emits an event of a device when its condition is met.
+ *
+ * Triggers are one of:
+ * - timer: every `interval` seconds.
+ * - threshold: when `property` rises above `above`, or falls below `below`.
+ * - value: when `property` changes to `value`.
+ *
+ * The event data is `payload`, with `{{properties.x}}`, `{{value}}` and
+ * `{{previous}}` placeholders filled in, or the new property value if there
+ * is no payload.
+ */
+class EventTrigger {
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {String} event - Name of the event to emit
+   * @param {Object} trigger - Trigger from the config
+   */
+  constructor(device, event, trigger) {
+    this.device = device;
+    this.event = event;
+    this.trigger = Object.assign({}, trigger);
+
+    if (this.trigger.hasOwnProperty('value')) {
+      this.trigger.value = parseValue(this.trigger.value);
+    }
+
+    if (this.trigger.hasOwnProperty('payload')) {
+      this.trigger.payload = parseValue(this.trigger.payload);
+    }
+  }
+
+  start() {
+    if (this.trigger.type === 'timer' && this.trigger.interval > 0) {
+      this.interval = this.device.adapter.clock.setInterval(() => {
+        this.emit({});
+      }, this.trigger.interval * 1000);
+    }
+  }
+
+  stop() {
+    if (this.interval) {
+      this.device.adapter.clock.clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Check the condition after a property changed.
+   *
+   * @param {VirtualThingsProperty} property
+   * @param {any} previous - The value before the change
+   */
+  handleValueChanged(property, previous) {
+    const t = this.trigger;
+    if (property.name !== t.property) {
+      return;
+    }
+
+    const value = property.value;
+    let fire = false;
+
+    switch (t.type) {
+      case 'threshold':
+        if (typeof t.above === 'number') {
+          fire = fire || (previous <= t.above && value > t.above);
+        }
+
+        if (typeof t.below === 'number') {
+          fire = fire || (previous >= t.below && value < t.below);
+        }
+
+        break;
+      case 'value':
+        fire = JSON.stringify(value) === JSON.stringify(t.value) &&
+          JSON.stringify(previous) !== JSON.stringify(t.value);
+        break;
+    }
+
+    if (fire) {
+      this.emit({value, previous});
+    }
+  }
+
+  /**
+   * @param {Object} context - Values for the placeholders of the payload
+   */
+  emit(context) {
+    const properties = {};
+    for (const [name, property] of this.device.properties) {
+      properties[name] = property.value;
+    }
+
+    context = Object.assign({properties}, context);
+
+    let data;
+    if (this.trigger.hasOwnProperty('payload')) {
+      data = fill(this.trigger.payload, context);
+    } else {
+      data = context.value;
+    }
+
+    this.device.eventNotify(new Event(this.device, this.event, data));
+  }
+}
+
+module.exports = {
+  EventTrigger,
+  TRIGGER_TYPES,
+};
@@ -9,8 +9,12 @@
 
 'use strict';
 
+const {BundleStore} = require('./bundles');
 const child_process = require('child_process');
-const crypto = require('crypto');
+const VirtualClock = require('./clock');
+const ControlApi = require('./api');
+const {normalizeEffects, runEffects} = require('./effects');
+const FaultInjector = require('./faults');
 const fs = require('fs');
 const {
   Adapter,
@@ -19,15 +23,56 @@ const {
   Event,
   Property,
 } = require('gateway-addon');
+const {Links} = require('./links');
+const {loadTrace} = require('./traces');
 const manifest = require('./manifest.json');
 const mkdirp = require('mkdirp');
+const MqttBridge = require('./mqtt-bridge');
 const os = require('os');
 const path = require('path');
-const storage = require('node-persist');
+const {
+  createRandom,
+  deriveSeed,
+  randomGaussian,
+  randomHex,
+  randomNumber,
+} = require('./random');
+const {ScenarioRunner} = require('./scenarios');
+const {
+  STRUCTURE_KEYWORDS,
+  coerce,
+  constrainNumber,
+  equal,
+  randomValue: randomSchemaValue,
+  validate,
+} = require('./schema');
+const simulations = require('./simulations');
+const {PropertyStore, fit} = require('./store');
+const {fromThingDescription} = require('./td');
+const {EventTrigger, TRIGGER_TYPES} = require('./triggers');
 const {v4: uuidv4} = require('uuid');
 
 const DEBUG = false;
 
+/**
+ * How often to look for edits of the config, in milliseconds.
+ */
+const CONFIG_POLL_INTERVAL = 10000;
+
+/**
+ * Options which take effect when the config is reloaded. Changes to the other
+ * options take effect once the add-on is restarted.
+ */
+const RELOADED_OPTIONS = [
+  'customThings',
+  'excludeDefaultThings',
+  'importedThings',
+  'includeTemplates',
+  'lenientValidation',
+  'links',
+  'templateInstances',
+];
+
 const proc = child_process.spawnSync(
   'ffmpeg',
   ['-version'],
@@ -70,26 +115,6 @@ function getDataPath(dataDir) {
   return path.join(profileDir, 'data', 'virtual-things-adapter');
 }
 
-function randomNumber(integer, min, max) {
-  if (typeof min === 'number' && typeof max === 'number') {
-    if (integer) {
-      min = Math.ceil(min);
-      max = Math.floor(max);
-      return Math.floor(Math.random() * (max - min + 1)) + min;
-    }
-
-    return Math.random() * (max - min) + min;
-  }
-
-  const value = Math.random();
-
-  if (integer) {
-    return Math.floor(value);
-  }
-
-  return value;
-}
-
 function bool() {
   return {
     name: 'on',
@@ -191,6 +216,37 @@ function level(readOnly) {
   };
 }
 
+function energy() {
+  return {
+    name: 'energy',
+    value: 0,
+    persist: true,
+    // the counter changes on every tick, so only write it once a minute
+    saveInterval: 60,
+    metadata: {
+      title: 'Energy',
+      type: 'number',
+      unit: 'kilowatt hour',
+      minimum: 0,
+      readOnly: true,
+    },
+  };
+}
+
+function pinInput() {
+  return {
+    type: 'object',
+    required: [
+      'pin',
+    ],
+    properties: {
+      pin: {
+        type: 'string',
+      },
+    },
+  };
+}
+
 const onOffColorLight = {
   type: 'onOffColorLight',
   '@context': 'https://webthings.io/schemas',
@@ -288,9 +344,10 @@ const smartPlug = {
   '@context': 'https://webthings.io/schemas',
   '@type': ['OnOffSwitch', 'EnergyMonitor', 'SmartPlug', 'MultiLevelSwitch'],
   name: 'Virtual Smart Plug',
+  simulation: 'smartPlug',
   properties: [
     on(),
-    level(false),
+    Object.assign(level(false), {value: 100}),
     {
       name: 'instantaneousPower',
       value: 0,
@@ -347,6 +404,7 @@ const smartPlug = {
         readOnly: true,
       },
     },
+    energy(),
   ],
   actions: [],
   events: [],
@@ -454,6 +512,11 @@ const temperatureSensor = {
         maximum: 50,
         readOnly: true,
       },
+      randomize: {
+        interval: 10,
+        distribution: 'walk',
+        maxStep: 0.5,
+      },
     },
   ],
   actions: [],
@@ -745,6 +808,7 @@ const alarm = {
   '@context': 'https://webthings.io/schemas',
   '@type': ['Alarm'],
   name: 'Virtual Alarm',
+  simulation: 'alarm',
   properties: [
     {
       name: 'alarm',
@@ -756,8 +820,52 @@ const alarm = {
         readOnly: true,
       },
     },
+    {
+      name: 'mode',
+      value: 'disarmed',
+      metadata: {
+        title: 'Mode',
+        type: 'string',
+        enum: ['disarmed', 'armedAway', 'armedHome'],
+        readOnly: true,
+      },
+    },
+    {
+      name: 'state',
+      value: 'disarmed',
+      metadata: {
+        title: 'State',
+        type: 'string',
+        enum: ['disarmed', 'exitDelay', 'armed', 'entryDelay', 'triggered'],
+        readOnly: true,
+      },
+    },
   ],
   actions: [
+    {
+      name: 'armAway',
+      metadata: {
+        title: 'Arm Away',
+        description: 'Arm all sensors, after the exit delay',
+        input: pinInput(),
+      },
+    },
+    {
+      name: 'armHome',
+      metadata: {
+        title: 'Arm Home',
+        description: 'Arm the sensors used while at home, after the exit delay',
+        input: pinInput(),
+      },
+    },
+    {
+      name: 'disarm',
+      metadata: {
+        title: 'Disarm',
+        description: 'Disarm the alarm and silence the siren',
+        input: pinInput(),
+      },
+    },
     {
       name: 'trigger',
       metadata: {
@@ -783,6 +891,33 @@ const alarm = {
         readOnly: true,
       },
     },
+    {
+      name: 'armed',
+      metadata: {
+        description: 'The alarm was armed, once the exit delay passed',
+        type: 'string',
+      },
+    },
+    {
+      name: 'disarmed',
+      metadata: {
+        description: 'The alarm was disarmed',
+      },
+    },
+    {
+      name: 'triggered',
+      metadata: {
+        description: 'The siren started, because of the named sensor',
+        type: 'string',
+      },
+    },
+    {
+      name: 'cleared',
+      metadata: {
+        description: 'The siren stopped, after a timeout or when silenced',
+        type: 'string',
+      },
+    },
   ],
 };
 
@@ -790,6 +925,7 @@ const energyMonitor = {
   '@context': 'https://webthings.io/schemas',
   '@type': ['EnergyMonitor'],
   name: 'Virtual Energy Monitor',
+  simulation: 'energyMonitor',
   properties: [
     {
       name: 'instantaneousPower',
@@ -847,6 +983,7 @@ const energyMonitor = {
         readOnly: true,
       },
     },
+    energy(),
   ],
   actions: [],
   events: [],
@@ -867,6 +1004,7 @@ const thermostat = {
   '@context': 'https://webthings.io/schemas',
   '@type': ['Thermostat', 'TemperatureSensor'],
   name: 'Virtual Thermostat',
+  simulation: 'thermostat',
   properties: [
     {
       name: 'temperature',
@@ -937,6 +1075,7 @@ const lock = {
   '@context': 'https://webthings.io/schemas',
   '@type': ['Lock'],
   name: 'Virtual Lock',
+  simulation: 'lock',
   properties: [
     {
       name: 'locked',
@@ -967,8 +1106,72 @@ const lock = {
         description: 'Unlock the locking mechanism',
       },
     },
+    {
+      name: 'unlockWithCode',
+      metadata: {
+        title: 'Unlock with Code',
+        description: 'Unlock the locking mechanism, if the code is right',
+        input: {
+          type: 'object',
+          required: [
+            'code',
+          ],
+          properties: {
+            code: {
+              type: 'string',
+            },
+          },
+        },
+      },
+    },
+    {
+      name: 'clearJam',
+      metadata: {
+        title: 'Clear Jam',
+        description: 'Free a jammed locking mechanism, leaving it unlocked',
+      },
+    },
+    {
+      name: 'lockManually',
+      metadata: {
+        title: 'Lock by Hand',
+        description: 'Lock as if someone used the key',
+      },
+    },
+    {
+      name: 'unlockManually',
+      metadata: {
+        title: 'Unlock by Hand',
+        description: 'Unlock as if someone used the key',
+      },
+    },
+  ],
+  events: [
+    {
+      name: 'jammed',
+      metadata: {
+        description: 'The locking mechanism jammed',
+      },
+    },
+    {
+      name: 'manualLock',
+      metadata: {
+        description: 'The lock was locked by hand, e.g. with the key',
+      },
+    },
+    {
+      name: 'manualUnlock',
+      metadata: {
+        description: 'The lock was unlocked by hand, e.g. with the key',
+      },
+    },
+    {
+      name: 'codeRejected',
+      metadata: {
+        description: 'A wrong code was entered',
+      },
+    },
   ],
-  events: [],
 };
 
 const colorSensor = {
@@ -999,6 +1202,11 @@ const humiditySensor = {
         maximum: 100,
         readOnly: true,
       },
+      randomize: {
+        interval: 10,
+        distribution: 'walk',
+        maxStep: 2,
+      },
     },
   ],
   actions: [],
@@ -1021,6 +1229,11 @@ const airQualitySensor = {
         minimum: 0,
         readOnly: true,
       },
+      randomize: {
+        distribution: 'gaussian',
+        mean: 400,
+        stddev: 25,
+      },
     },
     {
       name: 'density',
@@ -1033,6 +1246,10 @@ const airQualitySensor = {
         minimum: 0,
         readOnly: true,
       },
+      randomize: {
+        distribution: 'walk',
+        maxStep: 2,
+      },
     },
   ],
   actions: [],
@@ -1055,6 +1272,12 @@ const barometricPressureSensor = {
         minimum: 0,
         readOnly: true,
       },
+      randomize: {
+        distribution: 'sine',
+        mean: 1013,
+        amplitude: 10,
+        period: 24 * 60 * 60,
+      },
     },
   ],
   actions: [],
@@ -1088,7 +1311,185 @@ if (ffmpegMajor !== null && ffmpegMajor >= 4) {
   });
 }
 
-const VIRTUAL_THINGS = [
+/**
+ * @param {String[]} scenarios - Names of the available scenarios
+ * @return {Object} the template of the scenario runner thing.
+ */
+function scenarioRunner(scenarios) {
+  const scenario = {
+    type: 'string',
+  };
+
+  if (scenarios.length > 0) {
+    scenario.enum = scenarios;
+  }
+
+  return {
+    '@context': 'https://webthings.io/schemas',
+    '@type': [],
+    name: 'Virtual Scenario Runner',
+    simulation: 'scenarioRunner',
+    properties: [
+      {
+        name: 'scenario',
+        value: scenarios.length > 0 ? scenarios[0] : '',
+        metadata: Object.assign({title: 'Scenario'}, scenario),
+      },
+      {
+        name: 'loop',
+        value: false,
+        metadata: {
+          title: 'Loop',
+          type: 'boolean',
+        },
+      },
+      {
+        name: 'running',
+        value: false,
+        metadata: {
+          title: 'Running',
+          type: 'boolean',
+          readOnly: true,
+        },
+      },
+    ],
+    actions: [
+      {
+        name: 'start',
+        metadata: {
+          title: 'Start',
+          description: 'Start the selected scenario',
+          input: {
+            type: 'object',
+            properties: {
+              scenario,
+              loop: {
+                type: 'boolean',
+              },
+            },
+          },
+        },
+      },
+      {
+        name: 'stop',
+        metadata: {
+          title: 'Stop',
+          description: 'Stop the running scenario',
+        },
+      },
+      {
+        name: 'reload',
+        metadata: {
+          title: 'Reload',
+          description: 'Reload the scenario files',
+        },
+      },
+    ],
+    events: [
+      {
+        name: 'scenarioStarted',
+        metadata: {
+          description: 'A scenario was started',
+          type: 'string',
+        },
+      },
+      {
+        name: 'scenarioFinished',
+        metadata: {
+          description: 'A scenario ran to its end',
+          type: 'string',
+        },
+      },
+      {
+        name: 'scenarioStopped',
+        metadata: {
+          description: 'A scenario was stopped',
+          type: 'string',
+        },
+      },
+    ],
+  };
+}
+
+function bundleManager(bundles) {
+  const bundle = {
+    type: 'string',
+  };
+
+  if (bundles.length > 0) {
+    bundle.enum = bundles;
+  }
+
+  return {
+    '@context': 'https://webthings.io/schemas',
+    '@type': [],
+    name: 'Virtual Bundle Manager',
+    simulation: 'bundleManager',
+    properties: [
+      {
+        name: 'bundle',
+        value: bundles.length > 0 ? bundles[0] : '',
+        metadata: Object.assign({title: 'Bundle'}, bundle),
+      },
+    ],
+    actions: [
+      {
+        name: 'export',
+        metadata: {
+          title: 'Export',
+          description: 'Save all custom and imported things, and the ' +
+            'persisted values of all things, as a bundle',
+          input: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: {
+                type: 'string',
+                minLength: 1,
+              },
+            },
+          },
+        },
+      },
+      {
+        name: 'import',
+        metadata: {
+          title: 'Import',
+          description: 'Add the things of the selected bundle, and restore ' +
+            'its values',
+          input: {
+            type: 'object',
+            properties: {
+              bundle,
+            },
+          },
+        },
+      },
+    ],
+    events: [
+      {
+        name: 'bundleExported',
+        metadata: {
+          description: 'A bundle was exported',
+          type: 'string',
+        },
+      },
+      {
+        name: 'bundleImported',
+        metadata: {
+          description: 'A bundle was imported',
+          type: 'string',
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * The built-in templates. Their names are part of the IDs of the devices,
+ * so they must never change, and neither must their order.
+ */
+const TEMPLATES = {
   onOffColorLight,
   multiLevelSwitch,
   dimmableColorLight,
@@ -1120,137 +1521,519 @@ const VIRTUAL_THINGS = [
   airQualitySensor,
   barometricPressureSensor,
   smokeSensor,
-];
+};
+
+/**
+ * How many of the built-in templates older versions had. They used the index
+ * of the template as its ID, i.e. `virtual-things-<index>`, so new templates
+ * must only ever be added at the end of TEMPLATES.
+ */
+const LEGACY_TEMPLATE_COUNT = 31;
+
+/**
+ * IDs of the built-in things, by the ID older versions used.
+ */
+const LEGACY_IDS = {};
+Object.keys(TEMPLATES).slice(0, LEGACY_TEMPLATE_COUNT).forEach((name, i) => {
+  LEGACY_IDS[`virtual-things-${i}`] = `virtual-things-${name}`;
+});
+
+/**
+ * Parse initial values from the config.
+ *
+ * @param {String?} json - The values by property name, as a JSON object
+ * @return {Object} the values.
+ */
+function parseValues(json) {
+  if (!json) {
+    return {};
+  }
+
+  try {
+    const values = JSON.parse(json);
+    if (values && typeof values === 'object' && !Array.isArray(values)) {
+      return values;
+    }
+  } catch (e) {
+    // reported below
+  }
+
+  console.error('Ignoring invalid values:', json);
+  return {};
+}
+
+/**
+ * Build the template of one instance of a built-in template.
+ *
+ * @param {Object} template - The built-in template
+ * @param {Object} instance - {name, seed, values}
+ * @return {Object} the template of the instance.
+ */
+function instantiate(template, instance) {
+  return Object.assign({}, template, {
+    name: instance.name,
+    seed: instance.seed,
+    properties: template.properties.map((prop) => {
+      if (!instance.values.hasOwnProperty(prop.name)) {
+        return prop;
+      }
+
+      const value = fit(prop.metadata, instance.values[prop.name]);
+      if (typeof value === 'undefined') {
+        console.error(`Invalid value for ${prop.name} of ${instance.name}:`,
+                      instance.values[prop.name]);
+        return prop;
+      }
+
+      return Object.assign({}, prop, {value});
+    }),
+  });
+}
+
+/**
+ * Default randomization profile, used for any field a property's profile
+ * does not set.
+ */
+const DEFAULT_RANDOMIZE_PROFILE = {
+  interval: 30,
+  distribution: 'uniform',
+};
 
 /**
  * A virtual property
  */
 class VirtualThingsProperty extends Property {
-  constructor(device, name, descr, value) {
+  /**
+   * @param {VirtualThingsDevice} device
+   * @param {String} name - Name of the property
+   * @param {Object} descr - Property metadata
+   * @param {any} value - Initial value
+   * @param {Object?} options - Extra settings from the template, i.e.
+   *                            `randomize` (the randomization profile),
+   *                            `persist` (always persist the value) and
+   *                            `saveInterval` (seconds to wait before
+   *                            persisting a changed value)
+   */
+  constructor(device, name, descr, value, options = {}) {
     super(device, name, descr);
+    this.descr = descr;
+    this.persist = !!options.persist;
+    this.saveInterval = options.saveInterval > 0 ? options.saveInterval : 0;
+    this.saveTimer = null;
+    this.randomize =
+      Object.assign({}, DEFAULT_RANDOMIZE_PROFILE, options.randomize);
     this.setCachedValue(value);
 
-    if (device.adapter.config.randomizePropertyValues) {
-      this.interval = setInterval(() => {
-        let value;
+    const enabled = this.randomize.hasOwnProperty('enabled') ?
+      this.randomize.enabled :
+      device.adapter.config.randomizePropertyValues;
 
-        if (descr.enum && descr.enum.length > 0) {
-          value = descr.enum[randomNumber(true, 0, descr.enum.length - 1)];
-        } else {
-          switch (descr.type) {
-            case 'boolean':
-              value = Math.random() >= 0.5;
-              break;
-            case 'string': {
-              if (descr['@type'] === 'ColorProperty') {
-                const randomComponent = () => {
-                  return randomNumber(true, 0, 255)
-                    .toString(16)
-                    .padStart(2, '0');
-                };
-                value = `#${
-                  randomComponent()}${
-                  randomComponent()}${
-                  randomComponent()}`;
-              } else {
-                value = crypto.randomBytes(20).toString('hex');
-              }
+    if (enabled) {
+      this.startRandomizing();
+    }
+  }
 
-              break;
-            }
-            case 'number':
-            case 'integer':
-              value = randomNumber(
-                descr.type === 'integer',
-                descr.minimum,
-                descr.maximum
-              );
-              break;
-            default:
-              return;
-          }
-        }
+  asDict() {
+    return Object.assign(super.asDict(), this.structure());
+  }
 
-        if (value !== this.value) {
-          this.setCachedValue(value);
-          this.device.notifyPropertyChanged(this);
-        }
-      }, 30 * 1000);
-    }
+  asPropertyDescription() {
+    return Object.assign(super.asPropertyDescription(), this.structure());
   }
 
   /**
-   * @param {any} value
-   * @return {Promise} a promise which resolves to the updated value.
+   * @return {Object} the keywords describing the structure of object and
+   *                  array values, which the base class doesn't know about.
    */
-  setValue(value) {
-    return new Promise((resolve, reject) => {
-      if (this.readOnly) {
-        reject('Read-only property');
-      } else {
-        this.setCachedValue(value);
+  structure() {
+    const structure = {};
+    for (const keyword of STRUCTURE_KEYWORDS) {
+      if (this.descr.hasOwnProperty(keyword)) {
+        structure[keyword] = this.descr[keyword];
+      }
+    }
 
-        const colorModeProperty = this.device.findProperty('colorMode');
+    return structure;
+  }
 
-        switch (this.name) {
-          case 'streamActive':
-            if (this.value) {
-              this.device.adapter.startTranscode();
-            } else {
-              this.device.adapter.stopTranscode();
-            }
+  /**
+   * Start periodically generating new values, according to this property's
+   * randomization profile.
+   */
+  startRandomizing() {
+    this.stopRandomizing();
 
-            break;
-          case 'thermostatMode': {
-            const heatingCooling = this.device.properties.get('heatingCooling');
+    this.interval = this.device.adapter.clock.setInterval(() => {
+      const value = this.randomValue();
+      if (typeof value === 'undefined') {
+        return;
+      }
 
-            if (this.value === 'heat') {
-              heatingCooling.setCachedValueAndNotify('heating');
-            } else if (this.value === 'cool') {
-              heatingCooling.setCachedValueAndNotify('cooling');
-            } else if (this.value === 'off') {
-              heatingCooling.setCachedValueAndNotify('off');
-            }
+      if (value !== this.value) {
+        this.setCachedValue(value);
+        this.device.notifyPropertyChanged(this);
+      }
+    }, this.randomize.interval * 1000);
+  }
 
-            break;
-          }
-          case 'color':
-            if (colorModeProperty) {
-              colorModeProperty.setCachedValueAndNotify('color');
-            }
-            break;
-          case 'colorTemperature':
-            if (colorModeProperty) {
-              colorModeProperty.setCachedValueAndNotify('temperature');
-            }
-            break;
+  /**
+   * Stop generating new values.
+   */
+  stopRandomizing() {
+    if (this.interval) {
+      this.device.adapter.clock.clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Replay recorded values with their original timing.
+   *
+   * @param {Object[]} samples - Samples as {offset, value}, sorted by their
+   *                             offset in milliseconds
+   * @param {Object} options - Replay options, i.e. `speed` (time scale),
+   *                           `loop` and `duration` (length of one pass, in
+   *                           milliseconds)
+   */
+  startReplay(samples, options = {}) {
+    this.stopReplay();
+    this.stopRandomizing();
+
+    samples = samples.map((sample) => {
+      let value;
+      try {
+        value = this.coerceValue(sample.value);
+      } catch (e) {
+        // reported below
+      }
+
+      if (typeof value === 'undefined' ||
+          (typeof value === 'number' && isNaN(value))) {
+        console.error(
+          `Skipping invalid trace value of ${this.device.id} ${this.name}:`,
+          sample.value
+        );
+        return null;
+      }
+
+      return Object.assign({}, sample, {value});
+    }).filter((sample) => sample !== null);
+
+    const clock = this.device.adapter.clock;
+    const speed = options.speed > 0 ? options.speed : 1;
+    const duration = Math.max(options.duration || 0, 1000);
+    let start = clock.now();
+    let index = 0;
+
+    const next = () => {
+      if (index >= samples.length) {
+        if (!options.loop) {
+          this.replayTimer = null;
+          return;
         }
 
-        resolve(this.value);
-        this.device.notifyPropertyChanged(this);
+        // wait for the end of the pass, then start over
+        const delay = start + duration / speed - clock.now();
+        this.replayTimer = clock.setTimeout(() => {
+          start = clock.now();
+          index = 0;
+          next();
+        }, Math.max(delay, 0));
+        return;
+      }
+
+      const sample = samples[index];
+      const delay = start + sample.offset / speed - clock.now();
+      this.replayTimer = clock.setTimeout(() => {
+        index++;
+        this.updateValue(sample.value);
+        next();
+      }, Math.max(delay, 0));
+    };
+
+    next();
+  }
+
+  /**
+   * Stop replaying recorded values.
+   */
+  stopReplay() {
+    if (this.replayTimer) {
+      this.device.adapter.clock.clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+  }
+
+  /**
+   * Clamp a number to the range of this property.
+   *
+   * @param {number} value
+   * @return {number} the clamped value.
+   */
+  constrainValue(value) {
+    return constrainNumber(value, this.descr);
+  }
+
+  /**
+   * Convert a value, e.g. a string read from a file, to the type of this
+   * property.
+   *
+   * @param {any} value
+   * @return {any} the converted value.
+   */
+  coerceValue(value) {
+    return coerce(this.descr, value);
+  }
+
+  /**
+   * Generate a new value for this property.
+   *
+   * @return {any} the new value, or undefined if no value can be generated for
+   *               this property's type.
+   */
+  randomValue() {
+    const descr = this.descr;
+    const random = this.device.random;
+
+    if (descr.enum && descr.enum.length > 0) {
+      return descr.enum[randomNumber(true, 0, descr.enum.length - 1, random)];
+    }
+
+    switch (descr.type) {
+      case 'boolean':
+        return random() >= 0.5;
+      case 'string': {
+        if (descr['@type'] === 'ColorProperty') {
+          return `#${randomHex(3, random)}`;
+        }
+
+        return randomHex(20, random);
+      }
+      case 'number':
+      case 'integer':
+        return this.randomNumericValue();
+      case 'object':
+      case 'array':
+        return randomSchemaValue(descr, random);
+    }
+  }
+
+  /**
+   * Generate a new numeric value, using the configured distribution.
+   *
+   * @return {number} the new value, clamped to the property's range.
+   */
+  randomNumericValue() {
+    const descr = this.descr;
+    const profile = this.randomize;
+    const random = this.device.random;
+    const integer = descr.type === 'integer';
+    const hasRange =
+      typeof descr.minimum === 'number' && typeof descr.maximum === 'number';
+
+    let mean = profile.mean;
+    if (typeof mean !== 'number') {
+      mean = hasRange ? (descr.minimum + descr.maximum) / 2 : this.value;
+    }
+
+    let value;
+    switch (profile.distribution) {
+      case 'gaussian': {
+        let stddev = profile.stddev;
+        if (typeof stddev !== 'number') {
+          stddev = hasRange ? (descr.maximum - descr.minimum) / 6 : 1;
+        }
+
+        value = randomGaussian(mean, stddev, random);
+        break;
+      }
+      case 'walk': {
+        let maxStep = profile.maxStep;
+        if (typeof maxStep !== 'number') {
+          maxStep = hasRange ? (descr.maximum - descr.minimum) / 20 : 1;
+        }
+
+        if (integer) {
+          // smaller steps would always be rounded back to the same value
+          maxStep = Math.max(maxStep, 1);
+        }
+
+        value = (this.value || 0) +
+          randomNumber(integer, -maxStep, maxStep, random);
+        break;
+      }
+      case 'sine': {
+        let amplitude = profile.amplitude;
+        if (typeof amplitude !== 'number') {
+          amplitude = hasRange ? (descr.maximum - descr.minimum) / 2 : 1;
+        }
+
+        const period = (profile.period || 3600) * 1000;
+        const now = this.device.adapter.clock.now();
+        value = mean + amplitude * Math.sin(2 * Math.PI * now / period);
+        break;
+      }
+      case 'uniform':
+      default:
+        return randomNumber(integer, descr.minimum, descr.maximum, random);
+    }
+
+    return constrainNumber(value, descr);
+  }
+
+  /**
+   * @param {any} value
+   * @return {Promise} a promise which resolves to the updated value.
+   */
+  setValue(value) {
+    return new Promise((resolve, reject) => {
+      const errors = this.device.adapter.config.lenientValidation ?
+        [] :
+        validate(this.descr, value);
+
+      if (this.readOnly) {
+        reject('Read-only property');
+      } else if (!this.device.connected) {
+        reject('Device is offline');
+      } else if (errors.length > 0) {
+        reject(`Invalid value: ${errors.join(', ')}`);
+      } else if (this.device.faults) {
+        this.device.faults.apply(() => this.updateValue(value))
+          .then(resolve, reject);
+      } else {
+        resolve(this.updateValue(value));
       }
     });
   }
 
+  /**
+   * Set the value on behalf of the device itself, e.g. through the effects of
+   * an action. Unlike with setValue(), read-only properties can be set, as
+   * devices change those themselves, but the value must still fit the
+   * metadata, and the device must be online.
+   *
+   * @param {any} value
+   * @return {Promise} a promise which resolves to the updated value, or
+   *                   rejects if the value can't be set.
+   */
+  applyValue(value) {
+    const errors = this.device.adapter.config.lenientValidation ?
+      [] :
+      validate(this.descr, value);
+
+    if (errors.length > 0) {
+      return Promise.reject(`Invalid value: ${errors.join(', ')}`);
+    }
+
+    if (!this.device.connected) {
+      return Promise.reject('Device is offline');
+    }
+
+    return Promise.resolve(this.updateValue(value));
+  }
+
+  /**
+   * Set the value, apply its side effects on the device and notify the
+   * gateway, regardless of whether the property is read-only. This is how
+   * scenarios and other simulated sources change properties.
+   *
+   * @param {any} value
+   * @return {any} the updated value.
+   */
+  updateValue(value) {
+    this.setCachedValue(value);
+
+    const colorModeProperty = this.device.findProperty('colorMode');
+
+    switch (this.name) {
+      case 'streamActive':
+        if (this.value) {
+          this.device.adapter.startTranscode();
+        } else {
+          this.device.adapter.stopTranscode();
+        }
+
+        break;
+      case 'color':
+        if (colorModeProperty) {
+          colorModeProperty.setCachedValueAndNotify('color');
+        }
+        break;
+      case 'colorTemperature':
+        if (colorModeProperty) {
+          colorModeProperty.setCachedValueAndNotify('temperature');
+        }
+        break;
+    }
+
+    if (this.device.simulation) {
+      this.device.simulation.handlePropertyChanged(this);
+    }
+
+    this.device.notifyPropertyChanged(this);
+    return this.value;
+  }
+
   /**
    * Set the current value.
    */
   setCachedValue(value) {
+    const previous = this.value;
+
     if (this.type === 'boolean') {
       this.value = !!value;
     } else {
       this.value = value;
     }
 
-    if (this.device.adapter.config.persistPropertyValues) {
-      const key = `${this.device.id}-${this.name}`;
-      storage.setItem(key, this.value).catch((e) => {
-        console.error('Failed to persist property value:', e);
-      });
+    if (previous !== this.value) {
+      this.device.handleValueChanged(this, previous);
+    }
+
+    if (this.persist || this.device.adapter.config.persistPropertyValues) {
+      if (this.saveInterval <= 0) {
+        this.save();
+      } else if (!this.saveTimer) {
+        // Writing costs real time, however fast the virtual clock runs.
+        this.saveTimer = setTimeout(() => {
+          this.saveTimer = null;
+          this.save();
+        }, this.saveInterval * 1000);
+      }
     }
 
     return this.value;
   }
+
+  /**
+   * Persist the current value.
+   */
+  save() {
+    this.device.adapter.store.save(
+      this.device.id,
+      this.name,
+      this.descr,
+      this.value
+    ).catch((e) => {
+      console.error('Failed to persist property value:', e);
+    });
+  }
+
+  /**
+   * Stop waiting to persist the value.
+   *
+   * @param {boolean} save - Whether to persist a pending value right away
+   */
+  stopSaving(save = true) {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+
+      if (save) {
+        this.save();
+      }
+    }
+  }
 }
 
 /**
@@ -1266,6 +2049,17 @@ class VirtualThingsDevice extends Device {
     super(adapter, id);
 
     this.name = template.name;
+    this.connected = true;
+
+    // derived from the device ID, so that it doesn't depend on which other
+    // things exist
+    let seed = template.seed;
+    const randomSeed = adapter.config.randomSeed;
+    if (typeof seed !== 'number' && typeof randomSeed === 'number') {
+      seed = deriveSeed(randomSeed, id);
+    }
+
+    this.random = createRandom(seed);
 
     this.type = template.type;
     this['@context'] = template['@context'];
@@ -1281,38 +2075,186 @@ class VirtualThingsDevice extends Device {
 
     this.credentialsRequired = !!template.credentialsRequired;
 
+    const restored = this.adapter.bundles.takeValues(this.id);
     const promises = [];
     for (const prop of template.properties) {
       let promise;
-      if (this.adapter.config.persistPropertyValues) {
-        const key = `${this.id}-${prop.name}`;
-        promise = storage.getItem(key).then((v) => {
-          if (typeof v === 'undefined' || v === null) {
-            return prop.value;
-          }
-
-          return v;
-        });
+      if (restored.hasOwnProperty(prop.name)) {
+        promise = Promise.resolve(fit(prop.metadata, restored[prop.name]));
+      } else if (prop.persist || this.adapter.config.persistPropertyValues) {
+        promise = this.adapter.store.load(this.id, prop.name, prop.metadata);
       } else {
-        promise = Promise.resolve(prop.value);
+        promise = Promise.resolve();
       }
 
       promises.push(promise.then((v) => {
+        if (typeof v === 'undefined' || v === null) {
+          v = prop.value;
+        }
+
         this.properties.set(
           prop.name,
-          new VirtualThingsProperty(this, prop.name, prop.metadata, v));
+          new VirtualThingsProperty(this, prop.name, prop.metadata, v, prop)
+        );
       }));
     }
 
+    this.effects = new Map();
     for (const action of template.actions) {
       this.addAction(action.name, action.metadata);
+
+      if (action.effects) {
+        this.effects.set(action.name, action.effects);
+      }
     }
 
+    // wait effects of running actions
+    this.waits = new Set();
+
+    this.triggers = [];
     for (const event of template.events) {
       this.addEvent(event.name, event.metadata);
+
+      if (event.trigger) {
+        this.triggers.push(new EventTrigger(this, event.name, event.trigger));
+      }
+    }
+
+    this.ready = Promise.all(promises).then(() => {
+      if (template.simulation) {
+        const Simulation = simulations[template.simulation];
+        this.simulation = new Simulation(
+          this,
+          this.adapter.config[template.simulation]
+        );
+        this.simulation.start();
+      }
+
+      for (const trigger of this.triggers) {
+        trigger.start();
+      }
+
+      const faults = this.adapter.findFaultProfile(this);
+      if (faults) {
+        this.faults = new FaultInjector(this, faults);
+        this.faults.start();
+      }
+
+      this.adapter.startTraces(this);
+      this.adapter.handleDeviceAdded(this);
+    });
+  }
+
+  /**
+   * Stop everything which changes this device by itself.
+   */
+  stop() {
+    if (this.simulation) {
+      this.simulation.stop();
+    }
+
+    if (this.faults) {
+      this.faults.stop();
+    }
+
+    for (const trigger of this.triggers) {
+      trigger.stop();
+    }
+
+    for (const wait of this.waits) {
+      this.adapter.clock.clearTimeout(wait.timer);
+      wait.reject(new Error('Device stopped'));
+    }
+
+    this.waits.clear();
+
+    for (const property of this.properties.values()) {
+      property.stopRandomizing();
+      property.stopReplay();
+      property.stopSaving();
+    }
+  }
+
+  /**
+   * Called whenever the value of a property changed, for whatever reason.
+   * Initial and restored values, which are set before the device is added,
+   * don't count as changes.
+   *
+   * @param {VirtualThingsProperty} property
+   * @param {any} previous - The value before the change
+   */
+  handleValueChanged(property, previous) {
+    if (this.adapter.devices[this.id] !== this) {
+      return;
+    }
+
+    for (const trigger of this.triggers || []) {
+      trigger.handleValueChanged(property, previous);
+    }
+
+    this.adapter.handleValueChanged(this, property, previous);
+  }
+
+  connectedNotify(connected) {
+    this.connected = connected;
+    super.connectedNotify(connected);
+
+    if (this.adapter.mqtt) {
+      this.adapter.mqtt.publishConnected(this);
+    }
+  }
+
+  /**
+   * Connect or disconnect the device. While it is disconnected, writes and
+   * actions fail and changes are not reported, like during an outage.
+   *
+   * @param {boolean} connected
+   */
+  setConnected(connected) {
+    this.connectedNotify(connected);
+
+    if (connected) {
+      for (const property of this.properties.values()) {
+        this.notifyPropertyChanged(property);
+      }
+    }
+  }
+
+  notifyPropertyChanged(property) {
+    if (!this.connected || (this.faults && !this.faults.isReporting())) {
+      return;
+    }
+
+    super.notifyPropertyChanged(property);
+
+    if (this.adapter.mqtt) {
+      this.adapter.mqtt.publishProperty(this, property);
+    }
+  }
+
+  eventNotify(event) {
+    if (!this.connected) {
+      return;
     }
 
-    Promise.all(promises).then(() => this.adapter.handleDeviceAdded(this));
+    super.eventNotify(event);
+
+    if (this.adapter.mqtt) {
+      this.adapter.mqtt.publishEvent(this, event);
+    }
+  }
+
+  /**
+   * Mark an action as failed.
+   *
+   * @param {Action} action
+   * @param {String} error - Why the action failed
+   */
+  failAction(action, error) {
+    console.error(`Action "${action.name}" failed:`, error);
+    action.status = 'error';
+    action.timeCompleted = new Date().toISOString();
+    this.actionNotify(action);
   }
 
   performAction(action) {
@@ -1320,62 +2262,91 @@ class VirtualThingsDevice extends Device {
 
     action.start();
 
+    if (!this.connected) {
+      this.failAction(action, 'Device is offline');
+      return Promise.resolve();
+    }
+
+    const errors = this.validateInput(action);
+    if (errors.length > 0) {
+      this.failAction(action, `Invalid input: ${errors.join(', ')}`);
+      return Promise.resolve();
+    }
+
+    if (this.faults) {
+      return this.faults.apply(() => this.runAction(action))
+        .catch((e) => this.failAction(action, e));
+    }
+
+    return this.runAction(action);
+  }
+
+  /**
+   * Check the input of an action against the action's input schema.
+   *
+   * @param {Action} action
+   * @return {String[]} the problems found, if any.
+   */
+  validateInput(action) {
+    const metadata = this.actions.get(action.name);
+    if (
+      !metadata ||
+      !metadata.input ||
+      this.adapter.config.lenientValidation
+    ) {
+      return [];
+    }
+
+    let input = action.input;
+    if (
+      (typeof input === 'undefined' || input === null) &&
+      metadata.input.type === 'object'
+    ) {
+      // no input at all is the same as no fields
+      input = {};
+    }
+
+    return validate(metadata.input, input, 'input');
+  }
+
+  /**
+   * Carry out a started action.
+   *
+   * @param {Action} action
+   * @return {Promise} a promise which resolves once the action was handled.
+   */
+  runAction(action) {
+    if (this.simulation) {
+      const promise = this.simulation.performAction(action);
+      if (promise) {
+        return promise;
+      }
+    }
+
+    if (this.id.startsWith('virtual-things-imported-')) {
+      action.finish();
+      return Promise.resolve();
+    }
+
     if (this.id.startsWith('virtual-things-custom-')) {
       if (this.events.has(action.name)) {
         this.eventNotify(new Event(this,
                                    action.name,
                                    action.input));
       }
-      action.finish();
-      return Promise.resolve();
+
+      const effects = this.effects.get(action.name) || [];
+      return runEffects(this, action, effects)
+        .then(() => action.finish())
+        .catch((e) => this.failAction(action, e.message || e));
     }
 
     switch (action.name) {
       case 'basic':
         this.eventNotify(new Event(this,
                                    'virtualEvent',
-                                   Math.floor(Math.random() * 100)));
-        break;
-      case 'trigger': {
-        const prop = this.properties.get('alarm');
-        prop.setCachedValue(true);
-        this.notifyPropertyChanged(prop);
-        this.eventNotify(new Event(this,
-                                   'alarmEvent',
-                                   'Something happened!'));
+                                   randomNumber(true, 0, 99, this.random)));
         break;
-      }
-      case 'silence': {
-        const prop = this.properties.get('alarm');
-        prop.setCachedValue(false);
-        this.notifyPropertyChanged(prop);
-        break;
-      }
-      case 'lock':
-      case 'unlock': {
-        const targetState = action.name === 'lock' ? 'locked' : 'unlocked';
-
-        const prop = this.properties.get('locked');
-        if (prop.value === targetState) {
-          action.finish();
-          return Promise.resolve();
-        }
-
-        prop.setCachedValueAndNotify('unknown');
-        setTimeout(() => {
-          // jam the lock 5% of the time.
-          if (randomNumber(true, 0, 19) === 2) {
-            prop.setCachedValueAndNotify('jammed');
-          } else {
-            prop.setCachedValueAndNotify(targetState);
-          }
-
-          this.notifyPropertyChanged(prop);
-          action.finish();
-        }, 2000);
-
-        return Promise.resolve();
-      }
     }
 
     action.finish();
@@ -1404,23 +2375,50 @@ class VirtualThingsAdapter extends Adapter {
       mkdirp.sync(this.dataDir, {mode: 0o755});
     }
 
+    this.scenarios =
+      new ScenarioRunner(this, path.join(this.dataDir, 'scenarios'));
+    this.bundles = new BundleStore(this, path.join(this.dataDir, 'bundles'));
+
     this.db = new Database(this.packageName);
     this.db.open().then(() => {
       return this.db.loadConfig();
     }).then((config) => {
       this.config = config;
+      this.clock = new VirtualClock(this.config.clock);
+      this.links = new Links(this, this.config.links);
 
-      if (this.config.persistPropertyValues) {
-        return storage.init({
-          dir: this.dataDir,
-        });
+      // Some properties, e.g. energy counters, are always persisted.
+      this.store =
+        new PropertyStore(path.join(this.dataDir, 'values'), this.dataDir);
+      return this.store.init();
+    }).then(() => {
+      return this.store.renameDevices(LEGACY_IDS);
+    }).then((moved) => {
+      // The gateway knows things by ID, so it can't follow the new IDs.
+      if (moved > 0) {
+        console.log('Built-in things got new IDs, remove the ones named ' +
+                    '"virtual-things-<number>" and add them again');
       }
 
-      return Promise.resolve();
-    }).then(() => {
-      this.addAllThings();
+      if (this.config.mqtt && this.config.mqtt.enabled) {
+        this.mqtt = new MqttBridge(this, this.config.mqtt);
+        this.mqtt.start();
+      }
+
+      this.addAllThings().then(() => {
+        return this.store.cleanup(this.devices, (id) => this.isRemoved(id));
+      }).catch(console.error);
       this.unloading = false;
+      this.configPoll = setInterval(() => {
+        this.reloadConfig().catch(console.error);
+      }, CONFIG_POLL_INTERVAL);
       this.copyImage();
+
+      const api = this.config.controlApi || {};
+      if (api.enabled) {
+        this.controlApi = new ControlApi(this, api.port || 8092);
+        this.controlApi.start();
+      }
     }).catch(console.error);
   }
 
@@ -1507,18 +2505,386 @@ class VirtualThingsAdapter extends Adapter {
     }
   }
 
+  handleDeviceAdded(device) {
+    super.handleDeviceAdded(device);
+
+    if (this.mqtt) {
+      this.mqtt.publishDevice(device);
+    }
+  }
+
+  /**
+   * Let the links and the simulations of all things react to a change on any
+   * thing, e.g. an alarm to its sensors.
+   *
+   * @param {VirtualThingsDevice} device - The thing which changed
+   * @param {VirtualThingsProperty} property
+   * @param {any} previous - The value before the change
+   */
+  handleValueChanged(device, property, previous) {
+    if (this.links) {
+      this.links.handleValueChanged(device, property, previous);
+    }
+
+    for (const other of Object.values(this.devices)) {
+      if (other.simulation) {
+        other.simulation.handleThingChanged(device, property, previous);
+      }
+    }
+  }
+
+  /**
+   * Stop a device and tell the gateway it is gone.
+   *
+   * @param {VirtualThingsDevice} device
+   * @param {boolean} forget - Whether to remove its persisted values as well
+   */
+  removeThing(device, forget = false) {
+    if (forget) {
+      // don't write back values which are about to be removed
+      for (const property of device.properties.values()) {
+        property.stopSaving(false);
+      }
+    }
+
+    device.stop();
+    this.handleDeviceRemoved(device);
+
+    if (forget) {
+      for (const name of device.properties.keys()) {
+        this.store.remove(device.id, name).catch((e) => {
+          console.error('Failed to remove persisted value:', e);
+        });
+      }
+    }
+  }
+
+  /**
+   * Check whether the device built from a config entry is up to date, and
+   * remove it if the entry was edited since.
+   *
+   * @param {String} id - ID of the device
+   * @param {Object} definition - The config entry
+   * @return {boolean} whether the device exists and matches the entry.
+   */
+  reconcile(id, definition) {
+    const device = this.devices[id];
+    if (!device) {
+      return false;
+    }
+
+    if (equal(device.definition, definition)) {
+      return true;
+    }
+
+    console.log(`Rebuilding ${id}, as its definition changed`);
+    this.removeThing(device);
+    return false;
+  }
+
+  /**
+   * @param {String} id - ID of a device
+   * @return {boolean} whether the device was built from an entry of the
+   *                   custom or imported things which no longer exists.
+   */
+  isRemoved(id) {
+    const entries = {
+      'virtual-things-custom-': this.config.customThings,
+      'virtual-things-imported-': this.config.importedThings,
+    };
+
+    for (const [prefix, list] of Object.entries(entries)) {
+      if (id.startsWith(prefix)) {
+        return !(list || []).some((entry) => `${prefix}${entry.id}` === id);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Pick up edits of the config, adding, rebuilding and removing things as
+   * needed. Only the RELOADED_OPTIONS are applied, edits of the other options
+   * are logged as needing a restart.
+   *
+   * @param {boolean} force - Whether to add missing things even if the
+   *                          config didn't change
+   * @return {Promise} a promise which resolves once the things are up to date.
+   */
+  reloadConfig(force = false) {
+    if (this.reloading) {
+      return this.reloading;
+    }
+
+    this.reloading = this.db.loadConfig().then((config) => {
+      if (this.unloading) {
+        return;
+      }
+
+      if (equal(config, this.config)) {
+        if (force) {
+          return this.addAllThings();
+        }
+
+        return;
+      }
+
+      const keys = Object.keys(Object.assign({}, this.config, config));
+      const later = keys.filter((key) => {
+        return !RELOADED_OPTIONS.includes(key) &&
+          !equal(config[key], this.config[key]);
+      });
+
+      if (later.length > 0) {
+        console.log(`Restart the add-on to apply the changes to: ${
+          later.join(', ')}`);
+      }
+
+      const previous = this.config;
+      this.config = config;
+
+      // rebuilding the links would drop their pending timers and saved values
+      if (!equal(config.links, previous.links)) {
+        this.links.stop();
+        this.links = new Links(this, this.config.links);
+      }
+
+      return this.addAllThings();
+    }).finally(() => {
+      this.reloading = null;
+    });
+
+    return this.reloading;
+  }
+
   startPairing() {
-    this.addAllThings();
+    this.reloadConfig(true).catch(console.error);
+  }
+
+  /**
+   * @param {String} id - ID of a device, possibly one used by older versions
+   * @return {String} the current ID.
+   */
+  canonicalId(id) {
+    return LEGACY_IDS.hasOwnProperty(id) ? LEGACY_IDS[id] : id;
+  }
+
+  /**
+   * Find a device by ID or by name. IDs used by older versions work, too.
+   *
+   * @param {String} ref - ID or name of the device
+   * @return {VirtualThingsDevice?} the device, if found.
+   */
+  findDevice(ref) {
+    ref = this.canonicalId(ref);
+    if (this.devices[ref]) {
+      return this.devices[ref];
+    }
+
+    return Object.values(this.devices).find((d) => d.name === ref) || null;
+  }
+
+  /**
+   * Find the fault profile configured for a device.
+   *
+   * @param {VirtualThingsDevice} device
+   * @return {Object?} the profile, if any.
+   */
+  findFaultProfile(device) {
+    return (this.config.faults || []).find((profile) => {
+      return this.canonicalId(profile.thing) === device.id ||
+        profile.thing === device.name;
+    }) || null;
+  }
+
+  /**
+   * Start replaying the traces configured for a device.
+   *
+   * @param {VirtualThingsDevice} device
+   */
+  startTraces(device) {
+    for (const trace of this.config.traces || []) {
+      if (
+        this.canonicalId(trace.thing) !== device.id &&
+        trace.thing !== device.name
+      ) {
+        continue;
+      }
+
+      const file = path.resolve(path.join(this.dataDir, 'traces'), trace.file);
+
+      let samples;
+      try {
+        samples = loadTrace(file);
+      } catch (e) {
+        console.error(`Failed to load trace ${file}:`, e.message);
+        continue;
+      }
+
+      const duration =
+        samples.length > 0 ? samples[samples.length - 1].offset : 0;
+
+      for (const [name, property] of device.properties) {
+        const values = samples.filter((sample) => sample.property === name);
+        if (values.length > 0) {
+          property.startReplay(values, {
+            speed: trace.speed,
+            loop: trace.loop,
+            duration,
+          });
+        }
+      }
+    }
   }
 
+  /**
+   * Add, rebuild and remove things to match the config. Each call waits for
+   * the things of the previous one to start, so that things which are still
+   * starting aren't reconciled.
+   *
+   * @return {Promise} a promise which resolves once the things started.
+   */
   addAllThings() {
+    const previous = this.adding || Promise.resolve();
+    this.adding = previous.catch(() => {}).then(() => this.syncThings());
+    return this.adding;
+  }
+
+  /**
+   * @return {Promise} a promise which resolves once the things started.
+   */
+  syncThings() {
+    const added = [];
+    const configured = new Set();
+
+    const include = this.config.includeTemplates || [];
     if (!this.config.excludeDefaultThings) {
-      for (let i = 0; i < VIRTUAL_THINGS.length; i++) {
-        const id = `virtual-things-${i}`;
-        if (!this.devices[id]) {
-          new VirtualThingsDevice(this, id, VIRTUAL_THINGS[i]);
+      for (const name of include) {
+        if (!TEMPLATES.hasOwnProperty(name)) {
+          console.error(`Unknown template: ${name}`);
+        }
+      }
+    }
+
+    for (const [name, template] of Object.entries(TEMPLATES)) {
+      const id = `virtual-things-${name}`;
+
+      if (
+        this.config.excludeDefaultThings ||
+        (include.length > 0 && !include.includes(name))
+      ) {
+        if (this.devices[id]) {
+          console.log(`Removing ${id}, as it is no longer included`);
+          this.removeThing(this.devices[id]);
+        }
+
+        continue;
+      }
+
+      if (!this.devices[id]) {
+        added.push(new VirtualThingsDevice(this, id, template));
+      }
+    }
+
+    const prefixes = new Set();
+    for (const group of this.config.templateInstances || []) {
+      const template = TEMPLATES[group.template];
+      if (!template) {
+        console.error(`Unknown template: ${group.template}`);
+        continue;
+      }
+
+      const prefix = `virtual-things-${group.id || group.template}`;
+      if (prefixes.has(prefix)) {
+        console.error(`Duplicate ID of template instances: ${prefix}`);
+        continue;
+      }
+
+      prefixes.add(prefix);
+
+      const values = parseValues(group.values);
+      for (let n = 1; n <= (group.count || 0); n++) {
+        const override =
+          (group.overrides || []).find((o) => o.instance === n) || {};
+
+        let seed = override.seed;
+        if (typeof seed !== 'number' && typeof group.seed === 'number') {
+          seed = group.seed + n - 1;
+        }
+
+        const instance = {
+          template: group.template,
+          name: (override.name || group.name || `${template.name} {n}`)
+            .replace(/\{n\}/g, n),
+          seed,
+          values: Object.assign({}, values, parseValues(override.values)),
+        };
+
+        const id = `${prefix}-${n}`;
+        const definition = instance;
+        configured.add(id);
+        if (this.reconcile(id, definition)) {
+          continue;
         }
+
+        const device =
+          new VirtualThingsDevice(this, id, instantiate(template, instance));
+        device.definition = definition;
+        added.push(device);
+      }
+    }
+
+    if (
+      this.config.scenarioRunner &&
+      this.config.scenarioRunner.enabled &&
+      !this.devices['virtual-things-scenario-runner']
+    ) {
+      if (!fs.existsSync(this.scenarios.dir)) {
+        mkdirp.sync(this.scenarios.dir, {mode: 0o755});
+      }
+
+      added.push(new VirtualThingsDevice(
+        this,
+        'virtual-things-scenario-runner',
+        scenarioRunner(this.scenarios.load())
+      ));
+    }
+
+    if (
+      this.config.bundleManager &&
+      this.config.bundleManager.enabled &&
+      !this.devices['virtual-things-bundle-manager']
+    ) {
+      added.push(new VirtualThingsDevice(
+        this,
+        'virtual-things-bundle-manager',
+        bundleManager(this.bundles.names())
+      ));
+    }
+
+    for (const imported of this.config.importedThings || []) {
+      if (!imported.id) {
+        imported.id = uuidv4();
+      }
+
+      const id = `virtual-things-imported-${imported.id}`;
+      const definition = JSON.parse(JSON.stringify(imported));
+      configured.add(id);
+      if (this.reconcile(id, definition)) {
+        continue;
+      }
+
+      let template;
+      try {
+        template = fromThingDescription(JSON.parse(imported.description));
+      } catch (e) {
+        console.error('Failed to import thing description:', e.message);
+        continue;
       }
+
+      const device = new VirtualThingsDevice(this, id, template);
+      device.definition = definition;
+      added.push(device);
     }
 
     if (this.config.customThings) {
@@ -1528,7 +2894,9 @@ class VirtualThingsAdapter extends Adapter {
         }
 
         const id = `virtual-things-custom-${descr.id}`;
-        if (this.devices[id]) {
+        const definition = JSON.parse(JSON.stringify(descr));
+        configured.add(id);
+        if (this.reconcile(id, definition)) {
           continue;
         }
 
@@ -1587,6 +2955,59 @@ class VirtualThingsAdapter extends Adapter {
               // just in case
               property.default = `${property.default || ''}`;
               break;
+            case 'object':
+            case 'array': {
+              const empty = property.type === 'object' ? {} : [];
+              if (
+                typeof property.default === 'undefined' ||
+                property.default === ''
+              ) {
+                property.default = empty;
+                break;
+              }
+
+              try {
+                property.default = JSON.parse(property.default);
+              } catch (ex) {
+                property.default = null;
+              }
+
+              if (
+                typeof property.default !== 'object' ||
+                property.default === null ||
+                Array.isArray(property.default) !== Array.isArray(empty)
+              ) {
+                console.error(`Invalid default of property ${property.name}`);
+                property.default = empty;
+              }
+
+              break;
+            }
+          }
+
+          if (['object', 'array'].includes(property.type)) {
+            if (property.schema) {
+              try {
+                property.schema = JSON.parse(property.schema);
+              } catch (ex) {
+                console.error(`Ignoring invalid schema of property ${
+                  property.name}:`, ex.message);
+                delete property.schema;
+              }
+            }
+
+            if (property.schema) {
+              const schema =
+                Object.assign({}, property.schema, {type: property.type});
+              const errors = validate(schema, property.default, 'default');
+              if (errors.length > 0) {
+                console.error(`Invalid default of property ${property.name}:`,
+                              errors.join(', '));
+                property.default = property.type === 'object' ? {} : [];
+              }
+            }
+          } else {
+            delete property.schema;
           }
         }
 
@@ -1653,9 +3074,72 @@ class VirtualThingsAdapter extends Adapter {
             prop.metadata.readOnly = property.readOnly;
           }
 
+          if (property.schema) {
+            for (const keyword of STRUCTURE_KEYWORDS) {
+              if (property.schema.hasOwnProperty(keyword)) {
+                prop.metadata[keyword] = property.schema[keyword];
+              }
+            }
+          }
+
+          if (property.randomize) {
+            prop.randomize = {};
+
+            // drop unset fields, so that the defaults apply
+            for (const [key, value] of Object.entries(property.randomize)) {
+              if (value !== null && value !== '') {
+                prop.randomize[key] = value;
+              }
+            }
+
+            if (!(prop.randomize.interval > 0)) {
+              delete prop.randomize.interval;
+            }
+          }
+
           newDescr.properties.push(prop);
         }
 
+        for (const event of descr.events || []) {
+          if (newDescr.events.some((e) => e.name === event.name)) {
+            console.error(`Ignoring duplicate event ${event.name}`);
+            continue;
+          }
+
+          const evt = {
+            name: event.name,
+            metadata: {
+              title: event.title,
+            },
+          };
+
+          if (event.description) {
+            evt.metadata.description = event.description;
+          }
+
+          if (event['@type']) {
+            evt.metadata['@type'] = event['@type'];
+          }
+
+          if (event.data) {
+            try {
+              Object.assign(evt.metadata, JSON.parse(event.data));
+            } catch (ex) {
+              console.error(`Invalid data schema for event ${event.name}`);
+            }
+          }
+
+          if (event.trigger) {
+            if (TRIGGER_TYPES.includes(event.trigger.type)) {
+              evt.trigger = event.trigger;
+            } else {
+              console.error(`Invalid trigger for event ${event.name}`);
+            }
+          }
+
+          newDescr.events.push(evt);
+        }
+
         for (const action of actions) {
           const act = {
             name: action.name,
@@ -1672,7 +3156,28 @@ class VirtualThingsAdapter extends Adapter {
             act.metadata.input = action.input;
           }
 
-          if (action.emitEvent) {
+          act.effects = normalizeEffects(action.effects);
+
+          // declare the events emitted by effects
+          for (const effect of act.effects) {
+            if (
+              effect.type === 'emit' &&
+              !newDescr.events.some((e) => e.name === effect.event) &&
+              !actions.some((a) => a.emitEvent && a.name === effect.event)
+            ) {
+              newDescr.events.push({
+                name: effect.event,
+                metadata: {
+                  title: effect.event,
+                },
+              });
+            }
+          }
+
+          if (
+            action.emitEvent &&
+            !newDescr.events.some((e) => e.name === action.name)
+          ) {
             const event = {
               name: action.name,
               metadata: {
@@ -1688,13 +3193,31 @@ class VirtualThingsAdapter extends Adapter {
           newDescr.actions.push(act);
         }
 
-        new VirtualThingsDevice(this, id, newDescr);
+        const device = new VirtualThingsDevice(this, id, newDescr);
+        device.definition = definition;
+        added.push(device);
       }
+    }
 
-      return this.db.saveConfig(this.config);
+    // remove the things whose entries were deleted from the config
+    for (const device of Object.values(this.devices)) {
+      if (device.definition && !configured.has(device.id)) {
+        console.log(`Removing ${device.id}, as it is no longer configured`);
+        this.removeThing(device, true);
+      }
     }
 
-    return Promise.resolve();
+    // log devices which fail to start, rather than failing the whole batch
+    const promises = added.map((device) => device.ready.catch((e) => {
+      console.error(`Failed to add ${device.id}:`, e);
+    }));
+
+    if (this.config.customThings || this.config.importedThings) {
+      // save the generated IDs
+      promises.push(this.db.saveConfig(this.config));
+    }
+
+    return Promise.all(promises);
   }
 
   setPin(deviceId, pin) {
@@ -1721,12 +3244,26 @@ class VirtualThingsAdapter extends Adapter {
   }
 
   unload() {
-    if (this.config.randomizePropertyValues) {
-      for (const device of Object.values(this.devices)) {
-        for (const property of device.properties.values()) {
-          clearInterval(property.interval);
-        }
-      }
+    for (const device of Object.values(this.devices)) {
+      device.stop();
+    }
+
+    if (this.controlApi) {
+      this.controlApi.stop();
+    }
+
+    if (this.mqtt) {
+      this.mqtt.stop();
+    }
+
+    if (this.links) {
+      this.links.stop();
+    }
+
+    clearInterval(this.configPoll);
+
+    if (this.clock) {
+      this.clock.stop();
     }
 
     this.unloading = true;